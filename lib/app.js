@@ -0,0 +1,5570 @@
+// homehero-server/lib/app.js
+// The Express API (with optional Firebase token verify, seed, diagnostics); api/index.js serves it
+
+import express from "express";
+import cors from "cors";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import helmet from "helmet";
+import compression from "compression";
+import morgan from "morgan";
+import admin from "firebase-admin";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { AsyncLocalStorage } from "node:async_hooks";
+import path from "node:path";
+import nodemailer from "nodemailer";
+import multer from "multer";
+import sharp from "sharp";
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+dotenv.config();
+
+const app = express();
+// req.ip from X-Forwarded-For: Vercel's edge sets it; elsewhere TRUST_PROXY is the number of proxy hops (or a list)
+const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.VERCEL ? "1" : "");
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY || false);
+
+// ---------------- Request IDs & Error Envelope ----------------
+// Every error response has one shape: { message, code, details: [{ field, code, message }], requestId }.
+// Handlers only need to send { message } (plus code/details when they have them); the rest is filled in here.
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "bad_gateway",
+  503: "unavailable",
+};
+
+const httpError = (status, message, extra) => Object.assign(new Error(message), { status, ...extra });
+
+const errorEnvelope = (req, status, body = {}) => ({
+  ...body,
+  message: body.message || body.error || "Request failed",
+  code: body.code || ERROR_CODES[status] || "error",
+  details: body.details || [],
+  requestId: req.id,
+});
+
+app.use((req, res, next) => {
+  const given = req.get("x-request-id");
+  req.id = given && /^[\w.:-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? errorEnvelope(req, res.statusCode, body) : body);
+  next();
+});
+
+// Any thrown error -> the right status. Errors we didn't anticipate are logged and answered with a bare 500,
+// so Mongoose/driver internals never reach the client.
+function sendError(res, e) {
+  if (e.name === "ValidationError" && e.errors) {
+    const details = Object.values(e.errors).map((x) => ({ field: x.path, code: x.kind, message: x.message }));
+    return res.status(400).json({ message: details[0]?.message || "Invalid data", code: "validation_failed", details });
+  }
+  if (e.name === "CastError") {
+    const details = [{ field: e.path, code: "invalid", message: `Invalid ${e.kind}` }];
+    return res.status(400).json({ message: `Invalid ${e.path === "_id" ? "id" : e.path}`, code: "invalid_value", details });
+  }
+  if (e.code === 11000) {
+    const fields = Object.keys(e.keyValue || e.keyPattern || {});
+    const details = fields.map((field) => ({ field, code: "duplicate", message: `${field} is already taken` }));
+    return res.status(409).json({ message: "Duplicate entry", code: "duplicate", details });
+  }
+  if (e.type === "entity.parse.failed") {
+    return res.status(400).json({ message: "Malformed JSON body", code: "invalid_json" });
+  }
+  if (e.status) {
+    const code = typeof e.code === "string" ? e.code : undefined;
+    return res.status(e.status).json({ message: e.message, code, details: e.details });
+  }
+  console.error(`Unhandled error [${res.req.id}]:`, e);
+  res.status(500).json({ message: "Internal Server Error" });
+}
+
+// ---------------- Security & Perf ----------------
+app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
+// the event stream must reach the client as it's written, not once a compression buffer fills
+app.use(compression({ filter: (req, res) => req.path !== "/events" && compression.filter(req, res) }));
+// "tiny", minus the value of any ?ticket= (stream tickets are credentials, if short-lived ones)
+morgan.token("url-redacted", (req) => (req.originalUrl || req.url).replace(/([?&]ticket=)[^&]*/g, "$1[redacted]"));
+app.use(morgan(":method :url-redacted :status :res[content-length] - :response-time ms"));
+// keep the raw bytes around for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
+
+// ---------------- CORS ----------------
+const allowedOrigins =
+  process.env.CLIENT_ORIGIN?.split(",").map((s) => s.trim()).filter(Boolean) ||
+  ["http://localhost:5173"];
+app.use(
+  cors({
+    origin: allowedOrigins,
+    credentials: true,
+  })
+);
+
+// ---------------- MongoDB (cached connect for serverless) ----------------
+const MONGODB_URI = process.env.MONGODB_URI;
+let cached = global.mongoose;
+if (!cached) cached = (global.mongoose = { conn: null, promise: null });
+
+async function connectDB() {
+  if (cached.conn) return cached.conn;
+  if (!cached.promise) {
+    if (!MONGODB_URI) {
+      throw new Error("Missing MONGODB_URI env");
+    }
+    cached.promise = mongoose
+      .connect(MONGODB_URI, {
+        dbName: process.env.MONGODB_DB || "homehero",
+        bufferCommands: false,
+        serverSelectionTimeoutMS: 10000, // 10s
+        connectTimeoutMS: 10000,
+        socketTimeoutMS: 20000,
+      })
+      .then((m) => {
+        console.log("MongoDB connected:", m.connection.host);
+        return m.connection;
+      })
+      .catch((err) => {
+        console.error("MongoDB connect error:", err.message);
+        throw err;
+      });
+  }
+  cached.conn = await cached.promise;
+  return cached.conn;
+}
+
+// ---------------- Firebase Admin (optional token verify) ----------------
+const VERIFY_TOKEN = String(process.env.VERIFY_TOKEN || "false") === "true";
+
+function initAdmin() {
+  try {
+    if (admin.apps.length) return;
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    const clientEmail = process.env.FIREBASE_CLIENT_EMAIL;
+    let privateKey = process.env.FIREBASE_PRIVATE_KEY;
+    if (!projectId || !clientEmail || !privateKey) {
+      console.warn("Firebase Admin env not set; token verification disabled.");
+      return;
+    }
+    privateKey = privateKey.replace(/\\n/g, "\n");
+    admin.initializeApp({
+      credential: admin.credential.cert({ projectId, clientEmail, privateKey }),
+    });
+    console.log("Firebase Admin initialized");
+  } catch (e) {
+    console.warn("Firebase Admin init failed:", e.message);
+  }
+}
+initAdmin();
+
+async function verifyAuth(req, res, next) {
+  try {
+    if (VERIFY_TOKEN && admin.apps.length) {
+      const auth = req.headers.authorization || "";
+      const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+      if (!token) return res.status(401).json({ message: "Missing Authorization token" });
+      const decoded = await admin.auth().verifyIdToken(token);
+      req.user = decoded; // decoded.email, plus custom claims (roles)
+    }
+  } catch (e) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+  try {
+    req.auth = await resolveAuth(req);
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+// ---------------- Schemas & Models ----------------
+// Transactional outbox: entries are pushed onto the changed document in the same write as the change,
+// then relayOutbox turns them into Notifications and pulls them off
+const OutboxEntrySchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  data: mongoose.Schema.Types.Mixed,
+  at: { type: Date, default: Date.now },
+});
+
+// Reviews live in their own collection; Service keeps only incrementally maintained aggregates
+const ReviewSchema = new mongoose.Schema(
+  {
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service", required: true },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking" }, // unset only on migrated legacy reviews
+    userEmail: { type: String, required: true, lowercase: true, trim: true },
+    rating: { type: Number, min: 1, max: 5, required: true },
+    comment: { type: String, trim: true },
+    verified: { type: Boolean, default: false }, // tied to a booking that took place
+    status: { type: String, enum: ["published", "flagged"], default: "published" },
+    flagReason: String,
+    reply: {
+      text: { type: String, trim: true },
+      by: { type: String, lowercase: true, trim: true },
+      at: Date,
+    },
+    helpfulCount: { type: Number, default: 0, min: 0 },
+    outbox: { type: [OutboxEntrySchema], default: undefined },
+  },
+  { timestamps: true }
+);
+ReviewSchema.index({ "outbox.at": 1 }, { sparse: true });
+ReviewSchema.index({ serviceId: 1, userEmail: 1 });
+// one review per booking
+ReviewSchema.index({ bookingId: 1 }, { unique: true, partialFilterExpression: { bookingId: { $exists: true } } });
+ReviewSchema.index({ serviceId: 1, createdAt: -1, _id: -1 });
+ReviewSchema.index({ serviceId: 1, rating: -1, _id: -1 });
+
+const ReviewVoteSchema = new mongoose.Schema(
+  {
+    reviewId: { type: mongoose.Schema.Types.ObjectId, ref: "Review", required: true },
+    userEmail: { type: String, required: true, lowercase: true, trim: true },
+  },
+  { timestamps: true }
+);
+ReviewVoteSchema.index({ reviewId: 1, userEmail: 1 }, { unique: true });
+
+// Shared with the request schema (availabilityBody), so validation and storage agree
+const AVAILABILITY_BOUNDS = { tzOffsetMin: { min: -720, max: 840 }, slotMinutes: { min: 15, max: 480 } };
+
+// Weekly working hours are wall-clock "HH:MM" in the provider's local time (tzOffsetMin from UTC)
+const AvailabilitySchema = new mongoose.Schema(
+  {
+    tzOffsetMin: { type: Number, default: 0, ...AVAILABILITY_BOUNDS.tzOffsetMin },
+    slotMinutes: { type: Number, default: 60, ...AVAILABILITY_BOUNDS.slotMinutes },
+    capacity: { type: Number, default: 1, min: 1 },
+    weekly: [
+      {
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+        end: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+      },
+    ],
+    blackouts: [
+      {
+        _id: false,
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        note: { type: String, trim: true },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// GeoJSON shapes; coordinates are [lng, lat]
+const GeoPointSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], required: true },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+const GeoPolygonSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["Polygon"], required: true },
+    coordinates: { type: [[[Number]]], required: true },
+  },
+  { _id: false }
+);
+
+// Where a provider works: a base point plus either a radius or a polygon (see normalizeArea)
+const ServiceAreaSchema = new mongoose.Schema(
+  {
+    base: { type: GeoPointSchema, required: true },
+    radiusKm: Number,
+    polygon: { type: GeoPolygonSchema, default: undefined },
+  },
+  { _id: false }
+);
+
+// Character trigrams per field (see searchIndexFor); hidden from API responses
+const SearchIndexSchema = new mongoose.Schema(
+  {
+    name: [String],
+    category: [String],
+    provider: [String],
+    description: [String],
+    all: [String],
+  },
+  { _id: false }
+);
+
+// A gallery entry is a copy of the upload's URLs, so listings don't need a lookup
+const GalleryImageSchema = new mongoose.Schema(
+  {
+    uploadId: { type: mongoose.Schema.Types.ObjectId, ref: "Upload", required: true },
+    url: { type: String, required: true }, // large variant
+    variants: { thumb: String, medium: String, large: String },
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+const ServiceSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, index: true, unique: true, sparse: true },
+    category: { type: String, required: true, trim: true },
+    price: { type: Number, required: true, min: 0, index: true },
+    description: { type: String, required: true, trim: true },
+    image: { type: String, required: true }, // cover URL; follows the gallery cover when there is a gallery
+    gallery: { type: [GalleryImageSchema], default: undefined }, // in display order
+    coverUploadId: { type: mongoose.Schema.Types.ObjectId, ref: "Upload" },
+    providerName: { type: String, required: true, trim: true },
+    providerEmail: { type: String, required: true, lowercase: true, trim: true, index: true },
+    providerId: { type: mongoose.Schema.Types.ObjectId, ref: "Provider", index: true }, // providerName/Email are copies
+    ratingAvg: { type: Number, default: 0, index: true },
+    reviewCount: { type: Number, default: 0 },
+    ratingSum: { type: Number, default: 0 },
+    ratingCounts: { 1: Number, 2: Number, 3: Number, 4: Number, 5: Number }, // histogram
+    views: { type: Number, default: 0, index: true },
+    bookingCount: { type: Number, default: 0 }, // bookings ever placed (popularity signal)
+    availability: { type: AvailabilitySchema, default: undefined },
+    cancellationPolicyId: { type: mongoose.Schema.Types.ObjectId, ref: "CancellationPolicy" },
+    providerSuspended: { type: Boolean, default: false, index: true }, // mirrors ProviderSuspension
+    searchIndex: { type: SearchIndexSchema, select: false },
+    area: { type: ServiceAreaSchema, default: undefined },
+    coverage: { type: GeoPolygonSchema, default: undefined, select: false }, // area as one polygon, for queries
+  },
+  { timestamps: true }
+);
+ServiceSchema.index({ "searchIndex.all": 1 });
+ServiceSchema.index({ coverage: "2dsphere" });
+
+// Booking lifecycle: allowed moves per state; terminal states map to []
+const BOOKING_TRANSITIONS = {
+  requested: ["confirmed", "cancelled_by_customer", "cancelled_by_provider", "cancelled_by_admin", "expired"],
+  confirmed: [
+    "in_progress",
+    "cancelled_by_customer",
+    "cancelled_by_provider",
+    "cancelled_by_admin",
+    "no_show",
+    "expired",
+  ],
+  in_progress: ["completed", "cancelled_by_admin"],
+  completed: [],
+  expired: [],
+  cancelled_by_customer: [],
+  cancelled_by_provider: [],
+  cancelled_by_admin: [],
+  no_show: [],
+};
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+const ACTIVE_BOOKING_STATUSES = ["requested", "confirmed", "in_progress"];
+// "expired" = an unpaid hold released by the expire-holds job; it frees the slot like a cancellation
+const CANCELLED_BOOKING_STATUSES = ["cancelled_by_customer", "cancelled_by_provider", "cancelled_by_admin", "expired"];
+const HAPPENED_BOOKING_STATUSES = ["completed"]; // what revenue/analytics count
+const VOID_BOOKING_STATUSES = [...CANCELLED_BOOKING_STATUSES, "no_show"]; // reviews on these get flagged
+
+const BookingHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: BOOKING_STATUSES },
+    to: { type: String, enum: BOOKING_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: String, lowercase: true, trim: true },
+    note: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const BookingSchema = new mongoose.Schema(
+  {
+    userEmail: { type: String, required: true, lowercase: true, trim: true, index: true },
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service", required: true, index: true },
+    bookingDate: { type: Date, required: true, index: true },
+    price: { type: Number, required: true, min: 0 },
+    priceBreakdown: {
+      currency: String,
+      subtotal: Number,
+      discount: Number,
+      total: Number,
+      lines: [{ _id: false, code: String, label: String, amount: Number }],
+    },
+    cancellation: {
+      at: Date,
+      hoursBefore: Number,
+      policyId: { type: mongoose.Schema.Types.ObjectId, ref: "CancellationPolicy" },
+      policyName: String,
+      refundPct: Number,
+      refundAmount: Number,
+      penalty: Number,
+    },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: String,
+      discount: Number,
+    },
+    slotId: { type: mongoose.Schema.Types.ObjectId, ref: "Slot" },
+    status: { type: String, enum: BOOKING_STATUSES, default: "requested", index: true },
+    history: [BookingHistorySchema],
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "paid", "failed", "refunded", "partially_refunded"],
+      default: "unpaid",
+      index: true,
+    },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    outbox: { type: [OutboxEntrySchema], default: undefined },
+    remindersSent: { type: [String], default: undefined }, // "24h", "1h"
+    // past and not paid through us (pay on site, legacy): left for the provider to complete or mark no-show
+    settlementDueAt: Date,
+    address: {
+      type: new mongoose.Schema(
+        {
+          addressId: { type: mongoose.Schema.Types.ObjectId, ref: "Address" },
+          line: { type: String, trim: true },
+          location: { type: GeoPointSchema, required: true },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+  },
+  { timestamps: true }
+);
+// Prevent duplicate same-date booking by same user for same service (cancelled ones don't block a rebook)
+BookingSchema.index(
+  { userEmail: 1, serviceId: 1, bookingDate: 1 },
+  {
+    unique: true,
+    name: "active_booking_unique",
+    partialFilterExpression: { status: { $in: ACTIVE_BOOKING_STATUSES } },
+  }
+);
+BookingSchema.index({ "outbox.at": 1 }, { sparse: true });
+
+// Local role store: used when the token carries no role claims (and for dev without Firebase)
+const UserRoleSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    roles: [{ type: String, enum: ["customer", "provider", "admin"] }],
+  },
+  { timestamps: true }
+);
+
+// The business behind a set of services; its name is copied onto each Service as providerName
+const ProviderSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, required: true, unique: true },
+    bio: { type: String, trim: true },
+    logo: String,
+    phone: { type: String, trim: true },
+    yearsExperience: { type: Number, min: 0 },
+  },
+  { timestamps: true }
+);
+
+// Suspended providers keep their data but their services drop out of public listings
+const ProviderSuspensionSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    reason: { type: String, trim: true },
+    by: { type: String, lowercase: true, trim: true },
+  },
+  { timestamps: true }
+);
+
+// Customers' saved addresses, usable for "near me" listings and as a booking address
+const AddressSchema = new mongoose.Schema(
+  {
+    userEmail: { type: String, required: true, lowercase: true, trim: true, index: true },
+    label: { type: String, trim: true },
+    line: { type: String, trim: true },
+    location: { type: GeoPointSchema, required: true },
+  },
+  { timestamps: true }
+);
+
+const FavoriteSchema = new mongoose.Schema(
+  {
+    userEmail: { type: String, required: true, lowercase: true, trim: true, index: true },
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service", required: true, index: true },
+  },
+  { timestamps: true }
+);
+FavoriteSchema.index({ userEmail: 1, serviceId: 1 }, { unique: true });
+
+// One doc per booked slot; `booked` is only ever changed with atomic $inc so capacity holds under races
+const SlotSchema = new mongoose.Schema(
+  {
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service", required: true },
+    start: { type: Date, required: true },
+    booked: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+SlotSchema.index({ serviceId: 1, start: 1 }, { unique: true });
+
+const CouponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    type: { type: String, enum: ["percent", "fixed"], required: true },
+    value: { type: Number, required: true, min: 0 },
+    maxDiscount: { type: Number, min: 0 }, // cap for percent coupons
+    minOrder: { type: Number, default: 0, min: 0 },
+    categories: [{ type: String, trim: true }], // empty = any category
+    providerEmails: [{ type: String, lowercase: true, trim: true }], // empty = any provider
+    startsAt: Date,
+    endsAt: Date,
+    maxRedemptions: { type: Number, min: 1 }, // global; unset = unlimited
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    redeemedCount: { type: Number, default: 0, min: 0 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Per-user redemption counter; `count` is bumped with the same atomic pattern as Slot.booked
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    userEmail: { type: String, required: true, lowercase: true, trim: true },
+    count: { type: Number, default: 0, min: 0 },
+    bookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Booking" }],
+  },
+  { timestamps: true }
+);
+CouponRedemptionSchema.index({ couponId: 1, userEmail: 1 }, { unique: true });
+
+// Booking conversations live apart from the booking, so they outlast cancellation/completion
+const MessageSchema = new mongoose.Schema(
+  {
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true },
+    senderEmail: { type: String, required: true, lowercase: true, trim: true },
+    senderRole: { type: String, enum: ["customer", "provider", "admin"], required: true },
+    text: { type: String, trim: true, maxlength: 4000 },
+    attachments: [{ type: String, trim: true }], // URLs
+  },
+  { timestamps: true }
+);
+MessageSchema.index({ bookingId: 1, createdAt: -1, _id: -1 });
+
+// Per participant and thread: read position (the read receipt) and unread counter
+const ThreadMemberSchema = new mongoose.Schema(
+  {
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true },
+    email: { type: String, required: true, lowercase: true, trim: true, index: true },
+    unread: { type: Number, default: 0, min: 0 },
+    lastReadMessageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message" },
+    lastReadAt: Date,
+  },
+  { timestamps: true }
+);
+ThreadMemberSchema.index({ bookingId: 1, email: 1 }, { unique: true });
+
+// Shared event log behind GET /events and /events/poll: any instance appends, every instance reads it.
+// `seq` is a plain, ordered number (see insertEvent) so it can serve as the Last-Event-ID.
+const EventSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },
+  type: { type: String, required: true },
+  audience: [{ type: String, lowercase: true, trim: true }], // emails allowed to receive it
+  data: mongoose.Schema.Types.Mixed,
+  at: { type: Date, default: Date.now },
+});
+EventSchema.index({ audience: 1, seq: 1 });
+EventSchema.index({ at: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+const CounterSchema = new mongoose.Schema({
+  _id: String,
+  seq: { type: Number, default: 0 },
+});
+
+// One delivery of one outbox entry to one recipient over one channel; `key` makes relaying idempotent
+const NotificationSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    event: { type: String, required: true },
+    channel: { type: String, required: true },
+    to: { type: String, required: true, lowercase: true, trim: true },
+    audience: { type: String, enum: ["customer", "provider"] },
+    subject: String,
+    text: String,
+    data: mongoose.Schema.Types.Mixed,
+    status: { type: String, enum: ["pending", "sent", "skipped", "dead"], default: "pending" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: String,
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const NotificationPreferenceSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    optOut: [String], // event types, or "*" for all
+  },
+  { timestamps: true }
+);
+
+// Processed image variants in storage; serviceId unset = not in any gallery, collected after a grace period
+const UploadSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true, lowercase: true, trim: true, index: true },
+    storage: { type: String, enum: ["local", "s3"], required: true },
+    contentType: String,
+    originalName: String,
+    size: Number, // bytes received
+    width: Number, // of the large variant
+    height: Number,
+    variants: [{ _id: false, name: String, key: String, url: String, width: Number, height: Number, size: Number }],
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+  },
+  { timestamps: true }
+);
+UploadSchema.index({ serviceId: 1, updatedAt: 1 });
+
+// One document per job: the lock (lockedUntil/owner) plus when it last started, for scheduling
+const JobLockSchema = new mongoose.Schema({
+  _id: String,
+  owner: String,
+  lockedUntil: { type: Date, default: () => new Date(0) },
+  lastStartedAt: Date,
+});
+
+const JobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  trigger: { type: String, enum: ["cron", "local", "manual"], required: true },
+  status: { type: String, enum: ["running", "succeeded", "failed", "skipped"], default: "running" },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+});
+JobRunSchema.index({ job: 1, startedAt: -1 });
+JobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+// Payment intent per booking attempt; `ref` is the gateway's id for it
+const PaymentSchema = new mongoose.Schema(
+  {
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    userEmail: { type: String, required: true, lowercase: true, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true },
+    gateway: { type: String, required: true },
+    ref: { type: String, required: true },
+    clientSecret: String,
+    checkoutUrl: String,
+    status: { type: String, enum: ["pending", "paid", "failed"], default: "pending", index: true },
+    failureReason: String,
+    paidAt: Date,
+  },
+  { timestamps: true }
+);
+PaymentSchema.index({ gateway: 1, ref: 1 }, { unique: true });
+
+const RefundSchema = new mongoose.Schema(
+  {
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", required: true, index: true },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true },
+    gateway: { type: String, required: true },
+    ref: String,
+    status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+    reason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+RefundSchema.index({ gateway: 1, ref: 1 }, { unique: true, sparse: true });
+
+// Tiered windows: the first tier (by minHoursBefore, descending) the cancellation time qualifies for wins.
+// No matching tier = no refund. Platform-wide presets have no providerEmail.
+const CancellationPolicySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    providerEmail: { type: String, lowercase: true, trim: true, index: true },
+    tiers: [
+      {
+        _id: false,
+        minHoursBefore: { type: Number, required: true, min: 0 },
+        refundPct: { type: Number, required: true, min: 0, max: 100 },
+        feeFlat: { type: Number, default: 0, min: 0 },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Autocomplete entries: one per listed service, category and provider. `prefixes` holds every prefix of
+// every word in the label so lookups are a single indexed match.
+const SuggestionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // "<kind>:<id/name/email>"
+    kind: { type: String, enum: ["service", "category", "provider"], required: true },
+    label: { type: String, required: true },
+    prefixes: [String],
+    popularity: { type: Number, default: 0 },
+    serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+    slug: String,
+    providerEmail: String,
+    services: Number, // listed services behind a category/provider entry
+  },
+  { timestamps: true }
+);
+SuggestionSchema.index({ prefixes: 1, popularity: -1 });
+
+// Searches that found something, bucketed per day; old buckets expire
+const SearchQuerySchema = new mongoose.Schema({
+  q: { type: String, required: true },
+  day: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+});
+SearchQuerySchema.index({ q: 1, day: 1 }, { unique: true });
+SearchQuerySchema.index({ day: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+// One document per key and fixed window ("<group>:<ip|user>:<who>:<windowStart>"); gone once the window ends
+const RateLimitCounterSchema = new mongoose.Schema(
+  {
+    _id: String,
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// "<caller>|<METHOD> <path>|<Idempotency-Key>" -> the first response, replayed to retries until it expires
+const IdempotencyRecordSchema = new mongoose.Schema(
+  {
+    _id: String,
+    fingerprint: { type: String, required: true }, // hash of the request it was first used with
+    state: { type: String, enum: ["processing", "done"], required: true },
+    lockedUntil: Date,
+    statusCode: Number,
+    headers: mongoose.Schema.Types.Mixed, // the IDEMPOTENCY_HEADERS the first response had
+    body: Buffer,
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+IdempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// One entry per created, changed or deleted document, written by the auditTrail plugin. The app only ever
+// inserts these; the database role it runs as should allow nothing else on them (see README).
+const AuditEntrySchema = new mongoose.Schema(
+  {
+    entity: { type: String, required: true }, // model name
+    entityId: mongoose.Schema.Types.ObjectId, // unset for writes by filter, which record `filter` and `count`
+    action: { type: String, enum: ["create", "update", "delete"], required: true },
+    actor: { type: String, required: true }, // email, "job:<name>", "anonymous" or "system"
+    requestId: String,
+    ip: String,
+    changes: [{ _id: false, path: String, op: String, value: mongoose.Schema.Types.Mixed }],
+    filter: String, // JSON
+    count: Number,
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+AuditEntrySchema.index({ entity: 1, entityId: 1, createdAt: -1, _id: -1 });
+AuditEntrySchema.index({ actor: 1, createdAt: -1, _id: -1 });
+AuditEntrySchema.index({ createdAt: -1, _id: -1 });
+
+ServiceSchema.plugin(auditTrail, {
+  entity: "Service",
+  // views and rating/booking aggregates follow from other writes; searchIndex/coverage are derived
+  ignore: ["views", "ratingAvg", "reviewCount", "ratingSum", "ratingCounts", "bookingCount", "searchIndex", "coverage"],
+});
+BookingSchema.plugin(auditTrail, { entity: "Booking", ignore: ["outbox"] });
+FavoriteSchema.plugin(auditTrail, { entity: "Favorite" });
+ReviewSchema.plugin(auditTrail, { entity: "Review", ignore: ["helpfulCount", "outbox"] });
+
+const Service = mongoose.models.Service || mongoose.model("Service", ServiceSchema);
+const Booking = mongoose.models.Booking || mongoose.model("Booking", BookingSchema);
+const Favorite = mongoose.models.Favorite || mongoose.model("Favorite", FavoriteSchema);
+const Address = mongoose.models.Address || mongoose.model("Address", AddressSchema);
+const UserRole = mongoose.models.UserRole || mongoose.model("UserRole", UserRoleSchema);
+const Provider = mongoose.models.Provider || mongoose.model("Provider", ProviderSchema);
+const ProviderSuspension =
+  mongoose.models.ProviderSuspension || mongoose.model("ProviderSuspension", ProviderSuspensionSchema);
+const Review = mongoose.models.Review || mongoose.model("Review", ReviewSchema);
+const ReviewVote = mongoose.models.ReviewVote || mongoose.model("ReviewVote", ReviewVoteSchema);
+const Slot = mongoose.models.Slot || mongoose.model("Slot", SlotSchema);
+const Coupon = mongoose.models.Coupon || mongoose.model("Coupon", CouponSchema);
+const CouponRedemption =
+  mongoose.models.CouponRedemption || mongoose.model("CouponRedemption", CouponRedemptionSchema);
+const Message = mongoose.models.Message || mongoose.model("Message", MessageSchema);
+const ThreadMember = mongoose.models.ThreadMember || mongoose.model("ThreadMember", ThreadMemberSchema);
+const Event = mongoose.models.Event || mongoose.model("Event", EventSchema);
+const Counter = mongoose.models.Counter || mongoose.model("Counter", CounterSchema);
+const Notification = mongoose.models.Notification || mongoose.model("Notification", NotificationSchema);
+const NotificationPreference =
+  mongoose.models.NotificationPreference || mongoose.model("NotificationPreference", NotificationPreferenceSchema);
+const Upload = mongoose.models.Upload || mongoose.model("Upload", UploadSchema);
+const JobLock = mongoose.models.JobLock || mongoose.model("JobLock", JobLockSchema);
+const JobRun = mongoose.models.JobRun || mongoose.model("JobRun", JobRunSchema);
+const Payment = mongoose.models.Payment || mongoose.model("Payment", PaymentSchema);
+const Refund = mongoose.models.Refund || mongoose.model("Refund", RefundSchema);
+const CancellationPolicy =
+  mongoose.models.CancellationPolicy || mongoose.model("CancellationPolicy", CancellationPolicySchema);
+const RateLimitCounter =
+  mongoose.models.RateLimitCounter || mongoose.model("RateLimitCounter", RateLimitCounterSchema);
+const IdempotencyRecord =
+  mongoose.models.IdempotencyRecord || mongoose.model("IdempotencyRecord", IdempotencyRecordSchema);
+// In a database of its own, where the app's user can be granted insert-only rights
+const AUDIT_DB = process.env.AUDIT_DB || `${process.env.MONGODB_DB || "homehero"}_audit`;
+const auditDb = mongoose.connection.useDb(AUDIT_DB, { useCache: true });
+const AuditEntry = auditDb.models.AuditEntry || auditDb.model("AuditEntry", AuditEntrySchema);
+const Suggestion = mongoose.models.Suggestion || mongoose.model("Suggestion", SuggestionSchema);
+const SearchQuery = mongoose.models.SearchQuery || mongoose.model("SearchQuery", SearchQuerySchema);
+
+// ---------------- Roles & Permissions ----------------
+const ROLES = ["customer", "provider", "admin"];
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+// Roles for signed-in users with none assigned. Providers are granted theirs through /admin/roles
+// (existing ones by the provider-roles migration).
+const DEFAULT_ROLES = (process.env.DEFAULT_ROLES || "customer")
+  .split(",")
+  .map((s) => s.trim())
+  .filter((r) => ROLES.includes(r));
+
+// "action" = allowed on anything, "action:own" = only where the requester owns the resource, "*" = everything
+const ROLE_PERMISSIONS = {
+  customer: [
+    "booking:create",
+    "booking:read:own",
+    "booking:cancel:own",
+    "booking:pay:own",
+    "review:write",
+    "review:delete:own",
+    "review:vote",
+    "favorite:delete:own",
+    "address:delete:own",
+    "message:read:own",
+    "message:send:own",
+  ],
+  provider: [
+    "service:create",
+    "service:update:own",
+    "service:delete:own",
+    "booking:manage:own",
+    "provider:read:own",
+    "provider:update:own",
+    "message:read:own",
+    "message:send:own",
+    "review:reply:own",
+    "policy:create",
+    "policy:update:own",
+    "policy:delete:own",
+    "upload:create",
+    "upload:delete:own",
+  ],
+  admin: ["*"],
+};
+
+function rolesFromClaims(claims = {}) {
+  const roles = Array.isArray(claims.roles) ? [...claims.roles] : claims.role ? [claims.role] : [];
+  if (claims.admin === true) roles.push("admin");
+  return roles.filter((r) => ROLES.includes(r));
+}
+
+// Caller identity + roles. Roles come from Firebase custom claims, else the local UserRole store.
+// Dev (VERIFY_TOKEN=false) identifies callers by x-user-email or the legacy email fields.
+async function resolveAuth(req) {
+  const email = String(
+    (VERIFY_TOKEN
+      ? req.user?.email
+      : req.headers["x-user-email"] ||
+        req.query.userEmail ||
+        req.body?.userEmail ||
+        req.query.providerEmail ||
+        req.body?.providerEmail ||
+        req.query.email) || ""
+  ).toLowerCase();
+
+  let roles = rolesFromClaims(req.user);
+  if (!roles.length && email) roles = (await UserRole.findOne({ email }).lean())?.roles || [];
+  if (!roles.length) roles = [...DEFAULT_ROLES];
+  if (ADMIN_EMAILS.includes(email)) roles.push("admin");
+  return { email, roles: [...new Set(roles)] };
+}
+
+// `owner` may be a list when a resource is shared (e.g. a booking's message thread)
+function can(auth, action, owner) {
+  const perms = (auth?.roles || []).flatMap((r) => ROLE_PERMISSIONS[r] || []);
+  if (perms.includes("*") || perms.includes(action)) return true;
+  return perms.includes(`${action}:own`) && !!auth.email && [].concat(owner).includes(auth.email);
+}
+
+const isAdmin = (auth) => !!auth?.roles?.includes("admin");
+
+// Opt-in for old local clients (DEV_OPEN_ACCESS=true, never with VERIFY_TOKEN): calls that carry no identity
+// at all pass the owner checks on services, bookings and favorites, as they did before roles existed.
+const DEV_OPEN_ACCESS = !VERIFY_TOKEN && String(process.env.DEV_OPEN_ACCESS || "false") === "true";
+const DEV_OPEN_RESOURCES = ["service", "booking", "favorite"];
+const devOpen = (auth, action) => DEV_OPEN_ACCESS && !auth?.email && DEV_OPEN_RESOURCES.includes(action.split(":")[0]);
+// Never granted on roles alone: an unidentified caller can't hold these, whatever DEFAULT_ROLES says
+const PRIVILEGED_RESOURCES = ["admin", "role", "coupon"];
+
+const providerOf = async (serviceId) => (await Service.findById(serviceId).select("providerEmail"))?.providerEmail;
+
+// What a route acts on: how to load it from the request and whose it is
+const resources = {
+  service: { load: (req) => Service.findById(req.params.id), owner: (s) => s.providerEmail, notFound: "Service not found" },
+  booking: { load: (req) => Booking.findById(req.params.id), owner: (b) => b.userEmail, notFound: "Booking not found" },
+  providerBooking: {
+    load: (req) => Booking.findById(req.params.id),
+    owner: (b) => providerOf(b.serviceId),
+    notFound: "Booking not found",
+  },
+  review: { load: (req) => Review.findById(req.params.id), owner: (r) => r.userEmail, notFound: "Review not found" },
+  providerReview: {
+    load: (req) => Review.findById(req.params.id),
+    owner: (r) => providerOf(r.serviceId),
+    notFound: "Review not found",
+  },
+  // customer and provider both own the conversation on a booking
+  thread: {
+    load: (req) => Booking.findById(req.params.id),
+    owner: async (b) => [b.userEmail, await providerOf(b.serviceId)],
+    notFound: "Booking not found",
+  },
+  favorite: { load: (req) => Favorite.findById(req.params.id), owner: (f) => f.userEmail, notFound: "Favorite not found" },
+  address: { load: (req) => Address.findById(req.params.id), owner: (a) => a.userEmail, notFound: "Address not found" },
+  upload: { load: (req) => Upload.findById(req.params.id), owner: (u) => u.owner, notFound: "Upload not found" },
+  policy: {
+    load: (req) => CancellationPolicy.findById(req.params.id),
+    owner: (p) => p.providerEmail, // presets have none, so only admins pass
+    notFound: "Policy not found",
+  },
+};
+
+// Route guard: loads the resource (404s if missing) into req.resource and checks `action` against it.
+// Must run after verifyAuth.
+function authorize(action, resource) {
+  const guard = async (req, res, next) => {
+    try {
+      const doc = resource ? await resource.load(req) : undefined;
+      if (resource && !doc) return res.status(404).json({ message: resource.notFound });
+      const owner = doc && resource.owner ? await resource.owner(doc) : undefined;
+      if (PRIVILEGED_RESOURCES.includes(action.split(":")[0]) && !req.auth?.email) {
+        return res.status(401).json({ message: "Sign in required" });
+      }
+      if (!devOpen(req.auth, action) && !can(req.auth, action, owner)) {
+        return res.status(403).json({ message: doc ? "Forbidden: not owner" : "Forbidden" });
+      }
+      req.resource = doc;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+  guard.action = action; // read by the OpenAPI generator
+  return guard;
+}
+
+// For everything under /admin: an identified admin, with no dev bypass and no DEFAULT_ROLES fallback to lean on
+function requireAdmin(req, res, next) {
+  if (!req.auth?.email) return res.status(401).json({ message: "Admin sign-in required" });
+  if (!isAdmin(req.auth)) return res.status(403).json({ message: "Forbidden" });
+  next();
+}
+requireAdmin.action = "admin:access";
+
+// Every /admin route is defined on this router, behind the one gate; it's mounted after the rest of the API
+const adminRouter = express.Router();
+adminRouter.use(verifyAuth, requireAdmin);
+
+// ---------------- Provider Suspension ----------------
+// What public listings show; direct links and existing bookings keep working
+const LISTED_SERVICES = { providerSuspended: { $ne: true } };
+
+const isSuspended = async (email) => !!email && !!(await ProviderSuspension.exists({ email }));
+
+async function refreshProviderSuggestions(email) {
+  const services = await Service.find({ providerEmail: email });
+  for (const svc of services) await syncServiceSuggestion(svc);
+  for (const category of new Set(services.map((s) => s.category))) await syncGroupSuggestion("category", category);
+  await syncGroupSuggestion("provider", email);
+}
+
+// ---------------- Providers ----------------
+const PROVIDER_FIELDS = ["name", "bio", "logo", "phone", "yearsExperience"];
+
+async function uniqueProviderSlug(name, id) {
+  const base = slugify(name) || "provider";
+  let slug = base;
+  let i = 2;
+  while (await Provider.exists({ slug, ...(id && { _id: { $ne: id } }) })) slug = `${base}-${i++}`;
+  return slug;
+}
+
+// The provider record for `email`, created on first use (first listing, or the backfill)
+async function ensureProvider(email, name) {
+  const existing = await Provider.findOne({ email });
+  if (existing) return existing;
+  const label = String(name || "").trim() || email.split("@")[0];
+  try {
+    return await Provider.create({ email, name: label, slug: await uniqueProviderSlug(label) });
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    // lost a race: either someone created this provider, or took the slug we picked
+    return (await Provider.findOne({ email })) || ensureProvider(email, name);
+  }
+}
+
+// A rename has to reach every listing's copy of the name (and what search/suggestions built from it)
+async function propagateProviderName(provider) {
+  const services = await Service.find({ providerId: provider._id, providerName: { $ne: provider.name } });
+  for (const svc of services) {
+    const searchIndex = searchIndexFor({ ...svc.toObject(), providerName: provider.name });
+    await Service.updateOne({ _id: svc._id }, { providerName: provider.name, searchIndex });
+  }
+  await syncGroupSuggestion("provider", provider.email);
+  return services.length;
+}
+
+// ---------------- Utils ----------------
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const slugify = (s) =>
+  s?.toLowerCase().trim().replace(/[^\w\s-]/g, "").replace(/\s+/g, "-").slice(0, 60) || "";
+
+async function uniqueSlugForNew(name) {
+  const base = slugify(name);
+  let slug = base;
+  let i = 2;
+  while (await Service.exists({ slug })) slug = `${base}-${i++}`;
+  return slug;
+}
+async function uniqueSlugForUpdate(name, id) {
+  const base = slugify(name);
+  let slug = base;
+  let i = 2;
+  while (await Service.exists({ slug, _id: { $ne: id } })) slug = `${base}-${i++}`;
+  return slug;
+}
+
+// ---------------- Request Validation ----------------
+// Routes declare JSON Schemas for params, query and body via validate(); values are coerced in place
+// (query strings to numbers/booleans/arrays) and defaults filled in before the handler runs.
+const ajv = new Ajv({ allErrors: true, coerceTypes: "array", useDefaults: true, strict: false });
+addFormats(ajv);
+ajv.addFormat("js-date", (s) => !isNaN(new Date(s))); // anything `new Date()` accepts, as the handlers always did
+
+const obj = (properties, required = []) => ({
+  type: "object",
+  properties,
+  ...(required.length && { required }),
+});
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+const idParams = obj({ id: objectId }, ["id"]);
+const dateInput = { type: "string", format: "js-date" };
+const listQuery = {
+  limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+  cursor: { type: "string" },
+  withTotal: { type: "boolean", default: false },
+};
+
+function fieldError(part, err) {
+  const path = err.instancePath.split("/").filter(Boolean);
+  if (err.keyword === "required") path.push(err.params.missingProperty);
+  const message = err.keyword === "required" ? "is required" : err.message;
+  return { field: [part, ...path].join("."), code: err.keyword, message };
+}
+
+// The schema stays on the middleware (`.schema`) so the API description can be generated from the routes
+function validate(schema) {
+  const checks = ["params", "query", "body"]
+    .filter((part) => schema[part])
+    .map((part) => [part, ajv.compile(schema[part])]);
+  const middleware = (req, res, next) => {
+    if (schema.body && req.body == null) req.body = {};
+    const details = checks.flatMap(([part, check]) => (check(req[part]) ? [] : check.errors.map((e) => fieldError(part, e))));
+    if (!details.length) return next();
+    res.status(400).json({ message: `${details[0].field} ${details[0].message}`, code: "validation_failed", details });
+  };
+  middleware.schema = schema;
+  return middleware;
+}
+const withId = validate({ params: idParams });
+
+// ---------------- Search ----------------
+// Fuzzy matching on character trigrams: a misspelt or half-typed word still shares most of its trigrams
+// with the real one. Services store theirs per field in searchIndex; refresh it whenever those fields change.
+const SEARCH_WEIGHTS = { name: 3, category: 2, provider: 2, description: 1 };
+const SEARCH_MIN_MATCH = 0.5; // share of the query's trigrams a service must contain
+const MAX_QUERY_TERMS = 8;
+const MAX_DESCRIPTION_TERMS = 150;
+const PRICE_FACET_BUCKETS = 5;
+const RATING_FACET_BOUNDARIES = [0, 1, 2, 3, 4, 5.01];
+
+const searchTerms = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// "fan" -> "  f", " fa", "fan", "an "; `open` drops the end marker so a prefix matches longer words
+function trigrams(term, open = false) {
+  const padded = `  ${term}${open ? "" : " "}`;
+  const out = [];
+  for (let i = 0; i + 3 <= padded.length; i++) out.push(padded.slice(i, i + 3));
+  return out;
+}
+
+const gramsOf = (terms) => [...new Set(terms.flatMap((t) => trigrams(t)))];
+
+function searchIndexFor(svc) {
+  const index = {
+    name: gramsOf(searchTerms(svc.name)),
+    category: gramsOf(searchTerms(svc.category)),
+    provider: gramsOf(searchTerms(svc.providerName)),
+    description: gramsOf([...new Set(searchTerms(svc.description))].slice(0, MAX_DESCRIPTION_TERMS)),
+  };
+  return { ...index, all: [...new Set(Object.values(index).flat())] };
+}
+
+// The last word is treated as a prefix (the user may still be typing it)
+function queryGrams(q) {
+  const terms = searchTerms(q).slice(0, MAX_QUERY_TERMS);
+  return [...new Set(terms.flatMap((t, i) => trigrams(t, i === terms.length - 1)))];
+}
+
+// Services the search-index migration hasn't reached yet have no trigrams; match those on the plain words
+// (every term somewhere in the searched fields) so a deploy without the backfill still finds them
+const SEARCH_FIELDS = ["name", "category", "providerName", "description"];
+
+function searchMatch(q, grams) {
+  const words = searchTerms(q)
+    .slice(0, MAX_QUERY_TERMS)
+    .map((t) => ({ $or: SEARCH_FIELDS.map((f) => ({ [f]: new RegExp(escapeRegex(t), "i") })) }));
+  return { $or: [{ "searchIndex.all": { $in: grams } }, { searchIndex: { $exists: false }, $and: words }] };
+}
+
+// Stages after searchMatch: drop weak trigram matches, score the rest (unindexed matches score 0)
+function relevanceStages(grams) {
+  const hits = (field) => ({ $size: { $setIntersection: [{ $ifNull: [`$searchIndex.${field}`, []] }, grams] } });
+  const weighted = Object.entries(SEARCH_WEIGHTS).map(([field, w]) => ({ $multiply: [w, hits(field)] }));
+  const unindexed = { $eq: [{ $type: "$searchIndex" }, "missing"] };
+  return [
+    { $match: { $expr: { $or: [unindexed, { $gte: [hits("all"), Math.ceil(grams.length * SEARCH_MIN_MATCH)] }] } } },
+    { $addFields: { relevance: { $round: [{ $divide: [{ $add: weighted }, grams.length] }, 3] } } },
+  ];
+}
+
+// ---------------- Suggestions ----------------
+const SUGGEST_VIEW_WEIGHT = 1;
+const SUGGEST_BOOKING_WEIGHT = 10;
+const MAX_PREFIX_LENGTH = 20;
+const RECENT_QUERY_DAYS = 7;
+
+const popularityOf = (x) => (x.views || 0) * SUGGEST_VIEW_WEIGHT + (x.bookingCount || 0) * SUGGEST_BOOKING_WEIGHT;
+
+const prefixesOf = (label) => [
+  ...new Set(
+    searchTerms(label).flatMap((t) =>
+      Array.from({ length: Math.min(t.length, MAX_PREFIX_LENGTH) }, (_, i) => t.slice(0, i + 1))
+    )
+  ),
+];
+
+const suggestionKeys = (svc) => [`service:${svc._id}`, `category:${svc.category}`, `provider:${svc.providerEmail}`];
+
+async function syncServiceSuggestion(svc, removed) {
+  const key = `service:${svc._id}`;
+  if (removed || svc.providerSuspended) return Suggestion.deleteOne({ key });
+  await Suggestion.updateOne(
+    { key },
+    {
+      kind: "service",
+      label: svc.name,
+      prefixes: prefixesOf(svc.name),
+      popularity: popularityOf(svc),
+      serviceId: svc._id,
+      slug: svc.slug,
+      providerEmail: svc.providerEmail,
+    },
+    { upsert: true }
+  );
+}
+
+// Category/provider entries aggregate their listed services; they disappear with the last one
+async function syncGroupSuggestion(kind, value) {
+  if (!value) return;
+  const key = `${kind}:${value}`;
+  const field = kind === "category" ? "category" : "providerEmail";
+  const [g] = await Service.aggregate([
+    { $match: { ...LISTED_SERVICES, [field]: value } },
+    {
+      $group: {
+        _id: null,
+        services: { $sum: 1 },
+        views: { $sum: "$views" },
+        bookingCount: { $sum: "$bookingCount" },
+        label: { $first: kind === "category" ? "$category" : "$providerName" },
+      },
+    },
+  ]);
+  if (!g) return Suggestion.deleteOne({ key });
+  await Suggestion.updateOne(
+    { key },
+    {
+      kind,
+      label: g.label,
+      prefixes: prefixesOf(g.label),
+      popularity: popularityOf(g),
+      services: g.services,
+      providerEmail: kind === "provider" ? value : undefined,
+    },
+    { upsert: true }
+  );
+}
+
+// Call after a service is created, edited or removed; `previous` is the doc before an edit
+async function refreshSuggestions(svc, { previous, removed = false } = {}) {
+  await syncServiceSuggestion(svc, removed);
+  for (const category of new Set([svc.category, previous?.category])) await syncGroupSuggestion("category", category);
+  await syncGroupSuggestion("provider", svc.providerEmail);
+}
+
+// Views/bookings move a service, its category and its provider up together
+async function bumpSuggestions(svc, by) {
+  if (!svc.providerSuspended) await Suggestion.updateMany({ key: { $in: suggestionKeys(svc) } }, { $inc: { popularity: by } });
+}
+
+async function recordSearch(q) {
+  const text = searchTerms(q).slice(0, MAX_QUERY_TERMS).join(" ").slice(0, 80);
+  if (!text) return;
+  const day = new Date(new Date().toISOString().slice(0, 10));
+  try {
+    await SearchQuery.updateOne({ q: text, day }, { $inc: { count: 1 } }, { upsert: true });
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    await SearchQuery.updateOne({ q: text, day }, { $inc: { count: 1 } });
+  }
+}
+
+async function popularQueries(prefix, limit) {
+  const since = new Date(Date.now() - RECENT_QUERY_DAYS * DAY);
+  const rows = await SearchQuery.aggregate([
+    { $match: { q: { $regex: `^${escapeRegex(prefix)}` }, day: { $gte: since } } },
+    { $group: { _id: "$q", count: { $sum: "$count" } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map((r) => ({ q: r._id, count: r.count }));
+}
+
+// ---------------- Cursor Pagination ----------------
+// A sort spec is a list of [field, direction, cast] ending in a unique tiebreaker (_id).
+// The cursor is the last item's values for those fields plus the sort's name (so it can't be replayed
+// under another sort), base64url-encoded JSON.
+const asId = (v) => new mongoose.Types.ObjectId(v);
+const asDate = (v) => new Date(v);
+
+const encodeCursor = (values, tag) => Buffer.from(JSON.stringify({ t: tag, v: values })).toString("base64url");
+function decodeCursor(cursor, spec, tag) {
+  try {
+    const { t, v: values } = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (t !== tag || !Array.isArray(values) || values.length !== spec.length) return null;
+    return values.map((v, i) => (spec[i][2] ? spec[i][2](v) : v));
+  } catch {
+    return null;
+  }
+}
+
+const sortOf = (spec) => Object.fromEntries(spec.map(([f, d]) => [f, d]));
+
+// Rows fetched with limit + 1: trims the extra one and turns the last kept row into the next cursor
+function pageOf(rows, spec, limit, tag) {
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  const value = (f) => (typeof last.get === "function" ? last.get(f) : last[f]);
+  const nextCursor = rows.length > limit && last ? encodeCursor(spec.map(([f]) => value(f)), tag) : null;
+  return { items, nextCursor };
+}
+
+const invalidCursor = () => httpError(400, "Invalid cursor", { code: "invalid_cursor" });
+
+// Everything strictly after `values` in spec order: (k1 past v1) OR (k1 = v1 AND k2 past v2) OR ...
+function afterCursor(spec, values) {
+  return {
+    $or: spec.map(([field, dir], i) => {
+      const cond = {};
+      for (let j = 0; j < i; j++) cond[spec[j][0]] = values[j];
+      cond[field] = { [dir === 1 ? "$gt" : "$lt"]: values[i] };
+      return cond;
+    }),
+  };
+}
+
+// Returns { items, nextCursor, total? }; throws a 400-worthy Error on a malformed cursor
+async function paginate(query, spec, { cursor, limit, tag, withTotal = false }) {
+  const filter = query.getFilter();
+  const total = withTotal ? query.model.countDocuments(filter) : undefined;
+  if (cursor) {
+    const values = decodeCursor(cursor, spec, tag);
+    if (!values) throw invalidCursor();
+    query.setQuery({ $and: [filter, afterCursor(spec, values)] });
+  }
+  const docs = await query.sort(sortOf(spec)).limit(limit + 1);
+  return { ...pageOf(docs, spec, limit, tag), total: await total };
+}
+
+const NEWEST_FIRST = [["createdAt", -1, asDate], ["_id", -1, asId]];
+
+// List endpoints: ?limit= (default 20, max 100), ?cursor= from the previous page, ?withTotal=true for a count
+// Page options from a query validated against listQuery, which coerces them and fills the defaults
+const listParams = ({ cursor, limit, withTotal }) => ({ cursor, limit, withTotal });
+
+// ---------------- Reviews ----------------
+const REVIEW_SORTS = {
+  newest: [["createdAt", -1, asDate], ["_id", -1, asId]],
+  highest: [["rating", -1, Number], ["_id", -1, asId]],
+  lowest: [["rating", 1, Number], ["_id", -1, asId]],
+};
+
+// Atomically fold one review in/out of the service aggregates (count, sum, histogram, avg)
+async function applyRatingChange(serviceId, { add, remove } = {}) {
+  const deltas = {};
+  if (add) deltas[add] = (deltas[add] || 0) + 1;
+  if (remove) deltas[remove] = (deltas[remove] || 0) - 1;
+  const bump = (path, by) => ({ $add: [{ $ifNull: [`$${path}`, 0] }, by] });
+
+  const set = {
+    reviewCount: bump("reviewCount", (add ? 1 : 0) - (remove ? 1 : 0)),
+    ratingSum: bump("ratingSum", (add || 0) - (remove || 0)),
+  };
+  for (const [star, by] of Object.entries(deltas)) set[`ratingCounts.${star}`] = bump(`ratingCounts.${star}`, by);
+
+  await Service.updateOne({ _id: serviceId }, [
+    { $set: set },
+    {
+      $set: {
+        ratingAvg: {
+          $cond: [{ $gt: ["$reviewCount", 0] }, { $round: [{ $divide: ["$ratingSum", "$reviewCount"] }, 2] }, 0],
+        },
+      },
+    },
+  ]);
+}
+
+// Full rebuild from the collection (migrations / repair)
+async function recomputeRatingStats(serviceId) {
+  const rows = await Review.aggregate([
+    { $match: { serviceId: new mongoose.Types.ObjectId(serviceId), ...VISIBLE_REVIEWS } },
+    { $group: { _id: "$rating", n: { $sum: 1 } } },
+  ]);
+  const ratingCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((r) => (ratingCounts[r._id] = r.n));
+  const reviewCount = rows.reduce((a, r) => a + r.n, 0);
+  const ratingSum = rows.reduce((a, r) => a + r._id * r.n, 0);
+  const ratingAvg = reviewCount ? Number((ratingSum / reviewCount).toFixed(2)) : 0;
+  await Service.updateOne({ _id: serviceId }, { reviewCount, ratingSum, ratingCounts, ratingAvg });
+}
+
+const REVIEW_EDIT_WINDOW_HOURS = Number(process.env.REVIEW_EDIT_WINDOW_HOURS || 48);
+const VISIBLE_REVIEWS = { status: { $ne: "flagged" } }; // migrated reviews have no status
+
+// A booking can be reviewed once it's completed, or its appointment has passed without being voided
+const isReviewable = (b, now = new Date()) =>
+  b.status === "completed" || (["confirmed", "in_progress"].includes(b.status) && b.bookingDate < now);
+
+// Booking voided after it was reviewed: hide the review and take it out of the aggregates
+async function flagReviewForBooking(bookingId, reason) {
+  const r = await Review.findOneAndUpdate(
+    { bookingId, ...VISIBLE_REVIEWS },
+    { status: "flagged", flagReason: reason },
+    { new: false }
+  );
+  if (r) await applyRatingChange(r.serviceId, { remove: r.rating });
+}
+
+const ratingHistogram = (svc) =>
+  [5, 4, 3, 2, 1].map((star) => ({ rating: star, count: svc.ratingCounts?.[star] || 0 }));
+
+// ---------------- Service Areas ----------------
+const EARTH_RADIUS_KM = 6371;
+const MAX_AREA_RADIUS_KM = 200;
+const CIRCLE_SEGMENTS = 32;
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
+function parsePoint(lat, lng) {
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (lat == null || lng == null || !(la >= -90 && la <= 90) || !(ln >= -180 && ln <= 180)) {
+    throw httpError(400, "Invalid lat/lng");
+  }
+  return { type: "Point", coordinates: [ln, la] };
+}
+
+// Closed ring approximating a circle on the sphere
+function circleRing([lng, lat], radiusKm) {
+  const d = radiusKm / EARTH_RADIUS_KM;
+  const φ1 = toRad(lat);
+  const λ1 = toRad(lng);
+  const ring = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const θ = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(d) + Math.cos(φ1) * Math.sin(d) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(d) * Math.cos(φ1), Math.cos(d) - Math.sin(φ1) * Math.sin(φ2));
+    ring.push([Number((((toDeg(λ2) + 540) % 360) - 180).toFixed(6)), Number(toDeg(φ2).toFixed(6))]);
+  }
+  return [...ring, ring[0]];
+}
+
+// Accepts { lat, lng, radiusKm } or { polygon: [[lng, lat], ...], lat?, lng? } (base defaults to the
+// vertices' centroid). Returns the stored area plus its coverage polygon; null clears both.
+function normalizeArea(input) {
+  if (input == null) return null;
+  if (Array.isArray(input.polygon)) {
+    const ring = input.polygon.map((p) => parsePoint(p?.[1], p?.[0]).coordinates);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push(first);
+    if (ring.length < 4) throw httpError(400, "polygon needs at least 3 points");
+    const corners = ring.slice(0, -1);
+    const base =
+      input.lat != null || input.lng != null
+        ? parsePoint(input.lat, input.lng)
+        : parsePoint(
+            corners.reduce((a, p) => a + p[1], 0) / corners.length,
+            corners.reduce((a, p) => a + p[0], 0) / corners.length
+          );
+    const polygon = { type: "Polygon", coordinates: [ring] };
+    return { area: { base, polygon }, coverage: polygon };
+  }
+  const base = parsePoint(input.lat, input.lng);
+  const radiusKm = Number(input.radiusKm);
+  if (!(radiusKm > 0 && radiusKm <= MAX_AREA_RADIUS_KM)) {
+    throw httpError(400, `radiusKm must be between 0 and ${MAX_AREA_RADIUS_KM}`);
+  }
+  return { area: { base, radiusKm }, coverage: { type: "Polygon", coordinates: [circleRing(base.coordinates, radiusKm)] } };
+}
+
+const coversPoint = (point) => ({ coverage: { $geoIntersects: { $geometry: point } } });
+
+// Great-circle km from `point` to each service's base, as an aggregation expression
+function distanceKmExpr(point) {
+  const [lng, lat] = point.coordinates.map(toRad);
+  const lat2 = { $degreesToRadians: { $arrayElemAt: ["$area.base.coordinates", 1] } };
+  const lng2 = { $degreesToRadians: { $arrayElemAt: ["$area.base.coordinates", 0] } };
+  const sinSqHalf = (a, b) => ({ $pow: [{ $sin: { $divide: [{ $subtract: [a, b] }, 2] } }, 2] });
+  const h = { $add: [sinSqHalf(lat2, lat), { $multiply: [Math.cos(lat), { $cos: lat2 }, sinSqHalf(lng2, lng)] }] };
+  return { $round: [{ $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [h, 1] } } }] }, 2] };
+}
+
+// Place from addressId (must be the caller's) or lat/lng (+ addressLine); null when neither is given
+async function locationFrom(src, auth) {
+  if (src.addressId) {
+    const addr = mongoose.isValidObjectId(src.addressId) ? await Address.findById(src.addressId) : null;
+    if (!addr || addr.userEmail !== auth?.email) {
+      throw httpError(404, "Address not found");
+    }
+    return { addressId: addr._id, line: addr.line, location: addr.location };
+  }
+  if (src.lat != null || src.lng != null) {
+    return { line: src.addressLine, location: parsePoint(src.lat, src.lng) };
+  }
+  return null;
+}
+
+// Services without an area take bookings anywhere, as before
+async function areaError(svc, place) {
+  if (!svc.area) return null;
+  if (!place) return "An address is required for this service";
+  const inside = await Service.exists({ _id: svc._id, ...coversPoint(place.location) });
+  return inside ? null : "Address is outside the provider's service area";
+}
+
+// ---------------- Availability & Slots ----------------
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+};
+
+// Validate provider input; returns a plain object or throws with a user-facing message
+function normalizeAvailability(input) {
+  if (input == null) return undefined;
+  const a = input || {};
+  const weekly = (a.weekly || []).map((w) => {
+    const day = Number(w.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) throw httpError(400, "weekly.day must be 0-6");
+    if (!/^\d{2}:\d{2}$/.test(w.start || "") || !/^\d{2}:\d{2}$/.test(w.end || "")) {
+      throw httpError(400, "weekly start/end must be HH:MM");
+    }
+    if (toMinutes(w.start) >= toMinutes(w.end) || toMinutes(w.end) > 24 * 60) {
+      throw httpError(400, "weekly start must be before end");
+    }
+    return { day, start: w.start, end: w.end };
+  });
+  const blackouts = (a.blackouts || []).map((b) => {
+    const start = new Date(b.start);
+    const end = b.end ? new Date(b.end) : new Date(start.getTime() + DAY); // bare date blocks that whole day
+    if (isNaN(start) || isNaN(end) || end < start) throw httpError(400, "Invalid blackout range");
+    return { start, end, note: b.note };
+  });
+  return {
+    tzOffsetMin: Number(a.tzOffsetMin ?? 0),
+    slotMinutes: Number(a.slotMinutes ?? 60),
+    capacity: Number(a.capacity ?? 1),
+    weekly,
+    blackouts,
+  };
+}
+
+// Services without published weekly hours keep the legacy free-date behaviour
+const hasSchedule = (svc) => !!svc.availability?.weekly?.length;
+
+// Enumerate every slot start (UTC) the schedule opens in [from, to), skipping blackouts and the past
+function generateSlots(availability, from, to) {
+  const { tzOffsetMin = 0, slotMinutes = 60, weekly = [], blackouts = [] } = availability;
+  const offset = tzOffsetMin * MINUTE;
+  const step = slotMinutes * MINUTE;
+  const now = Date.now();
+  const slots = [];
+  // walk local calendar days covering the range
+  const firstDay = Math.floor((from.getTime() + offset) / DAY) * DAY;
+  for (let dayStart = firstDay; dayStart - offset < to.getTime(); dayStart += DAY) {
+    const weekday = new Date(dayStart).getUTCDay();
+    for (const w of weekly.filter((x) => x.day === weekday)) {
+      const end = dayStart + toMinutes(w.end) * MINUTE;
+      for (let t = dayStart + toMinutes(w.start) * MINUTE; t + step <= end; t += step) {
+        const start = t - offset;
+        if (start < from.getTime() || start >= to.getTime() || start < now) continue;
+        const blocked = blackouts.some((b) => start < new Date(b.end).getTime() && start + step > new Date(b.start).getTime());
+        if (!blocked) slots.push(new Date(start));
+      }
+    }
+  }
+  return slots.sort((a, b) => a - b);
+}
+
+const isSlotOpen = (availability, date) =>
+  generateSlots(availability, date, new Date(date.getTime() + 1)).some((s) => s.getTime() === date.getTime());
+
+// Atomically take one seat in a slot; returns the slot doc or null when full
+async function reserveSlot(svc, start) {
+  const filter = { serviceId: svc._id, start, booked: { $lt: svc.availability.capacity } };
+  try {
+    return await Slot.findOneAndUpdate(filter, { $inc: { booked: 1 } }, { upsert: true, new: true });
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    // either the slot is full, or a concurrent request created it first: retry without upsert
+    return Slot.findOneAndUpdate(filter, { $inc: { booked: 1 } }, { new: true });
+  }
+}
+
+async function releaseSlot(slotId) {
+  if (!slotId) return;
+  await Slot.updateOne({ _id: slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+}
+
+// ---------------- Images & Storage ----------------
+// Serverless disks don't persist (or aren't writable), so Vercel stores in S3 unless told otherwise
+const UPLOAD_STORAGE = process.env.UPLOAD_STORAGE || (process.env.VERCEL ? "s3" : "local");
+if (UPLOAD_STORAGE === "s3" && !process.env.S3_BUCKET) console.warn("S3_BUCKET not set; image uploads will fail.");
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+const UPLOAD_PUBLIC_URL = (process.env.UPLOAD_PUBLIC_URL || "/uploads").replace(/\/$/, ""); // local storage
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 8);
+const UPLOAD_MAX_FILES = 10;
+const UPLOAD_MAX_PIXELS = 50e6; // refuse decompression bombs before resizing
+const UPLOAD_ORPHAN_HOURS = Number(process.env.UPLOAD_ORPHAN_HOURS || 24);
+const GALLERY_MAX = 20;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const IMAGE_FORMATS = ["jpeg", "png", "webp"]; // what sharp must actually find in the bytes
+const IMAGE_VARIANTS = [
+  ["thumb", 320],
+  ["medium", 800],
+  ["large", 1600],
+];
+
+// put(key, bytes, contentType) -> public URL; remove(key)
+const storageAdapters = {
+  local: {
+    async put(key, body) {
+      const file = path.join(UPLOAD_DIR, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return `${UPLOAD_PUBLIC_URL}/${key}`;
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(UPLOAD_DIR, key), { force: true });
+      await fs.promises.rmdir(path.dirname(path.join(UPLOAD_DIR, key))).catch(() => {}); // only if now empty
+    },
+  },
+  // Any S3-compatible store: S3_ENDPOINT for R2/MinIO/etc., credentials from the usual AWS_* variables
+  s3: {
+    client: null,
+    bucket() {
+      if (!process.env.S3_BUCKET) throw new Error("S3_BUCKET not set");
+      this.client ||= new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: !!process.env.S3_ENDPOINT,
+      });
+      return process.env.S3_BUCKET;
+    },
+    async put(key, body, contentType) {
+      const Bucket = this.bucket();
+      await this.client.send(
+        new PutObjectCommand({
+          Bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+      const region = process.env.S3_REGION || "us-east-1";
+      const base = process.env.S3_PUBLIC_URL || `https://${Bucket}.s3.${region}.amazonaws.com`;
+      return `${base.replace(/\/$/, "")}/${key}`;
+    },
+    async remove(key) {
+      const Bucket = this.bucket();
+      await this.client.send(new DeleteObjectCommand({ Bucket, Key: key }));
+    },
+  },
+};
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: UPLOAD_MAX_FILES },
+  fileFilter: (req, file, cb) =>
+    IMAGE_TYPES.includes(file.mimetype)
+      ? cb(null, true)
+      : cb(httpError(415, "Only JPEG, PNG or WebP images are allowed")),
+});
+
+// multer's errors as JSON: too big -> 413, wrong type -> 415, anything else -> 400
+const receiveImages = (req, res, next) =>
+  imageUpload.array("images", UPLOAD_MAX_FILES)(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ message: `Images must be under ${UPLOAD_MAX_MB} MB`, code: "file_too_large" });
+    }
+    sendError(res, err instanceof multer.MulterError ? httpError(400, err.message, { code: "invalid_upload" }) : err);
+  });
+
+// Re-encodes into each variant. rotate() bakes in the EXIF orientation; sharp writes no metadata
+// unless asked to, so EXIF (GPS included) never reaches storage.
+async function storeImage(file, owner) {
+  const meta = await sharp(file.buffer, { limitInputPixels: UPLOAD_MAX_PIXELS })
+    .metadata()
+    .catch(() => null);
+  if (!IMAGE_FORMATS.includes(meta?.format)) {
+    throw httpError(415, `${file.originalname} is not a valid JPEG, PNG or WebP image`);
+  }
+  if (meta.width * meta.height > UPLOAD_MAX_PIXELS) {
+    throw httpError(413, `${file.originalname} has too many pixels`);
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const adapter = storageAdapters[UPLOAD_STORAGE];
+  const variants = [];
+  try {
+    for (const [name, size] of IMAGE_VARIANTS) {
+      const { data, info } = await sharp(file.buffer, { limitInputPixels: UPLOAD_MAX_PIXELS })
+        .rotate()
+        .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+      const key = `services/${_id}/${name}.webp`;
+      const url = await adapter.put(key, data, "image/webp");
+      variants.push({ name, key, url, width: info.width, height: info.height, size: info.size });
+    }
+    const large = variants[variants.length - 1];
+    return await Upload.create({
+      _id,
+      owner,
+      storage: UPLOAD_STORAGE,
+      contentType: "image/webp",
+      originalName: file.originalname,
+      size: file.size,
+      width: large.width,
+      height: large.height,
+      variants,
+    });
+  } catch (e) {
+    // nothing references these files yet, so don't leave them behind
+    for (const v of variants) await adapter.remove(v.key).catch(() => {});
+    throw e;
+  }
+}
+
+// Drops the record (only while it's in no gallery), then its files. false = attached or already gone.
+async function removeUpload(u) {
+  const gone = await Upload.findOneAndDelete({ _id: u._id, serviceId: null });
+  if (!gone) return false;
+  const adapter = storageAdapters[gone.storage];
+  for (const v of gone.variants) {
+    await adapter.remove(v.key).catch((e) => console.error(`Upload ${gone._id}: removing ${v.key}:`, e.message));
+  }
+  return true;
+}
+
+const galleryImage = (u) => {
+  const urls = Object.fromEntries(u.variants.map((v) => [v.name, v.url]));
+  return { uploadId: u._id, url: urls.large, variants: urls, width: u.width, height: u.height };
+};
+
+// Ordered upload ids (+ optional cover id, default the first) -> { gallery, coverUploadId, image }.
+// Uploads must belong to `owner` and not sit in another service's gallery.
+async function galleryFrom(ids, cover, owner, serviceId) {
+  const bad = (message) => httpError(400, message);
+  if (!Array.isArray(ids)) throw bad("gallery must be a list of upload ids");
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length > GALLERY_MAX) throw bad(`A gallery holds at most ${GALLERY_MAX} images`);
+  if (!unique.length) {
+    if (cover) throw bad("cover must be one of the gallery uploads");
+    return { gallery: [], coverUploadId: null };
+  }
+  if (!unique.every((id) => mongoose.isValidObjectId(id))) throw bad("Invalid upload id");
+
+  const uploads = await Upload.find({ _id: { $in: unique } });
+  const byId = new Map(uploads.map((u) => [String(u._id), u]));
+  for (const id of unique) {
+    const u = byId.get(id);
+    if (!u || u.owner !== owner) throw bad(`Unknown upload ${id}`);
+    if (u.serviceId && String(u.serviceId) !== String(serviceId)) throw bad(`Upload ${id} belongs to another service`);
+  }
+  const coverId = cover ? String(cover) : unique[0];
+  if (!byId.has(coverId)) throw bad("cover must be one of the gallery uploads");
+
+  const gallery = unique.map((id) => galleryImage(byId.get(id)));
+  return { gallery, coverUploadId: coverId, image: galleryImage(byId.get(coverId)).url };
+}
+
+// Point uploads at the service they now appear in; ones dropped from its gallery become GC candidates
+async function attachGallery(serviceId, gallery = []) {
+  const ids = gallery.map((g) => g.uploadId);
+  if (ids.length) await Upload.updateMany({ _id: { $in: ids } }, { $set: { serviceId } });
+  await Upload.updateMany({ serviceId, _id: { $nin: ids } }, { $unset: { serviceId: 1 } });
+}
+
+// ---------------- Event Log ----------------
+// Each event's seq is the newest + 1, taken by the insert itself (unique index), so a seq only exists once
+// its event does and events become visible in seq order: a reader never has to wait out a gap. The counter
+// remembers the high mark for when every event has expired, so seqs never go backwards under a Last-Event-ID.
+async function newestEventSeq() {
+  const newest = await Event.findOne().sort({ seq: -1 }).select("seq").lean();
+  return newest?.seq ?? (await Counter.findById("events").lean())?.seq ?? 0;
+}
+
+// The last seq this instance wrote: its next publish tries the one after without reading first. Only trusted
+// for an hour, far inside the log's expiry, so the seq after it can't have been taken and expired since.
+const EVENT_SEQ_CACHE_MS = 60 * 60 * 1000;
+let lastSeq = { seq: 0, at: 0 };
+
+async function insertEvent(doc) {
+  let seq = Date.now() - lastSeq.at < EVENT_SEQ_CACHE_MS ? lastSeq.seq + 1 : (await newestEventSeq()) + 1;
+  // Losing the race for a seq means another event got it, so this always gets through; no attempt limit
+  for (;;) {
+    try {
+      await Event.create({ ...doc, seq });
+      break;
+    } catch (e) {
+      if (e.code !== 11000) throw e;
+      seq = (await newestEventSeq()) + 1;
+    }
+  }
+  if (seq > lastSeq.seq) lastSeq = { seq, at: Date.now() };
+  await Counter.updateOne({ _id: "events" }, { $max: { seq } }, { upsert: true });
+  return seq;
+}
+
+// Appends to the event log. Never fails the caller: a missed notification beats a failed booking.
+async function publishEvent(type, audience, data) {
+  try {
+    const to = [...new Set(audience.filter(Boolean))];
+    if (!to.length) return;
+    await insertEvent({ type, audience: to, data });
+  } catch (e) {
+    console.error(`Event ${type} not recorded:`, e.message);
+  }
+}
+
+async function publishBookingEvent(type, b, extra = {}) {
+  const data = { bookingId: b._id, serviceId: b.serviceId, status: b.status, paymentStatus: b.paymentStatus, ...extra };
+  await publishEvent(type, [b.userEmail, await providerOf(b.serviceId)], data);
+}
+
+// ---------------- Notifications ----------------
+const NOTIFY_CHANNELS = (process.env.NOTIFY_CHANNELS || "log")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 6);
+const NOTIFY_LEASE_MS = 2 * MINUTE; // a claimed notification is retried if its sender dies mid-way
+const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL;
+const NOTIFY_WEBHOOK_SECRET = NOTIFY_CHANNELS.includes("webhook") ? secretFromEnv("NOTIFY_WEBHOOK_SECRET") : null;
+const NOTIFY_LOG_FILE = process.env.NOTIFY_LOG_FILE; // unset = console
+const SMTP_FROM = process.env.SMTP_FROM || "HomeHero <no-reply@homehero.local>";
+
+const outboxEntry = (type, data) => ({ type, data, at: new Date() });
+
+// Booking status changes that notify someone
+const STATUS_NOTIFICATIONS = {
+  confirmed: "booking.confirmed",
+  cancelled_by_customer: "booking.cancelled",
+  cancelled_by_provider: "booking.cancelled",
+  cancelled_by_admin: "booking.cancelled",
+  completed: "booking.completed",
+  expired: "booking.expired",
+};
+
+// Per event and recipient; {{name}} is filled from notificationVars
+const NOTIFICATION_TEMPLATES = {
+  "booking.created": {
+    provider: {
+      subject: "New booking: {{serviceName}}",
+      text: "{{customerEmail}} booked {{serviceName}} for {{bookingDate}} ({{total}}).",
+    },
+    customer: {
+      subject: "Booking requested: {{serviceName}}",
+      text: "Your request for {{serviceName}} on {{bookingDate}} has been sent to {{providerName}}.",
+    },
+  },
+  "booking.confirmed": {
+    customer: {
+      subject: "Booking confirmed: {{serviceName}}",
+      text: "{{providerName}} confirmed {{serviceName}} on {{bookingDate}}.",
+    },
+  },
+  "booking.cancelled": {
+    customer: {
+      subject: "Booking cancelled: {{serviceName}}",
+      text: "Your booking of {{serviceName}} on {{bookingDate}} was cancelled. Refund: {{refund}}.",
+    },
+    provider: {
+      subject: "Booking cancelled: {{serviceName}}",
+      text: "The booking of {{serviceName}} by {{customerEmail}} on {{bookingDate}} was cancelled.",
+    },
+  },
+  "booking.expired": {
+    customer: {
+      subject: "Booking expired: {{serviceName}}",
+      text: "Your booking of {{serviceName}} on {{bookingDate}} was released because it wasn't paid in time.",
+    },
+  },
+  "booking.reminder": {
+    customer: {
+      subject: "Reminder: {{serviceName}} in {{window}}",
+      text: "{{serviceName}} with {{providerName}} is booked for {{bookingDate}}.",
+    },
+    provider: {
+      subject: "Reminder: {{serviceName}} in {{window}}",
+      text: "You're booked by {{customerEmail}} for {{serviceName}} on {{bookingDate}}.",
+    },
+  },
+  "booking.settlement_due": {
+    provider: {
+      subject: "Was {{serviceName}} on {{bookingDate}} done?",
+      text: "{{customerEmail}} didn't pay online, so it won't complete by itself: mark it completed or no-show.",
+    },
+  },
+  "booking.completed": {
+    customer: {
+      subject: "How was {{serviceName}}?",
+      text: "{{providerName}} marked {{serviceName}} as done. You can leave a review from your bookings.",
+    },
+  },
+  "booking.reviewed": {
+    provider: {
+      subject: "New {{rating}}-star review for {{serviceName}}",
+      text: "{{customerEmail}} reviewed {{serviceName}}: {{comment}}",
+    },
+  },
+};
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
+
+const renderTemplate = (tpl, vars) => tpl.replace(/\{\{(\w+)\}\}/g, (_, k) => String(vars[k] ?? ""));
+
+function notificationVars(booking, svc, review) {
+  const refund = booking.cancellation?.refundAmount;
+  return {
+    bookingId: String(booking._id),
+    serviceName: svc?.name || "your service",
+    providerName: svc?.providerName || "the provider",
+    customerEmail: booking.userEmail,
+    bookingDate: new Date(booking.bookingDate).toUTCString(),
+    total: `${booking.priceBreakdown?.currency || CURRENCY} ${booking.price}`,
+    refund: refund ? `${booking.priceBreakdown?.currency || CURRENCY} ${refund}` : "none",
+    rating: review?.rating,
+    comment: review?.comment || "(no comment)",
+  };
+}
+
+const notificationChannels = {
+  // development/testing: JSON lines to NOTIFY_LOG_FILE, or the console
+  log: {
+    async send(n) {
+      const line = JSON.stringify({ at: new Date(), event: n.event, to: n.to, subject: n.subject, text: n.text });
+      if (NOTIFY_LOG_FILE) await fs.promises.appendFile(NOTIFY_LOG_FILE, `${line}\n`);
+      else console.log("[notify]", line);
+    },
+  },
+  email: {
+    transport: null,
+    async send(n) {
+      if (!process.env.SMTP_URL) throw new Error("SMTP_URL not set");
+      this.transport ||= nodemailer.createTransport(process.env.SMTP_URL);
+      await this.transport.sendMail({ from: SMTP_FROM, to: n.to, subject: n.subject, text: n.text });
+    },
+  },
+  // signed like payment webhooks: x-signature: t=<unix>,v1=<hex hmac of "t.body">
+  webhook: {
+    async send(n) {
+      if (!NOTIFY_WEBHOOK_URL) throw new Error("NOTIFY_WEBHOOK_URL not set");
+      const raw = JSON.stringify({ id: n.key, event: n.event, to: n.to, subject: n.subject, text: n.text, data: n.data });
+      const r = await fetch(NOTIFY_WEBHOOK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-signature": signWebhook(raw, undefined, NOTIFY_WEBHOOK_SECRET) },
+        body: raw,
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!r.ok) throw new Error(`Webhook responded ${r.status}`);
+    },
+  },
+};
+
+// Fan one outbox entry out into Notifications (one per recipient and channel). Safe to repeat.
+async function enqueueNotifications(entry, booking, review) {
+  const templates = NOTIFICATION_TEMPLATES[entry.type];
+  if (!templates || !booking) return 0;
+  const svc = await Service.findById(booking.serviceId).select("name providerName providerEmail");
+  const vars = { ...notificationVars(booking, svc, review), ...entry.data };
+  const recipients = { customer: booking.userEmail, provider: svc?.providerEmail };
+
+  let queued = 0;
+  for (const [audience, tpl] of Object.entries(templates)) {
+    const to = recipients[audience];
+    if (!to) continue;
+    const prefs = await NotificationPreference.findOne({ email: to });
+    const optedOut = prefs?.optOut?.some((t) => t === "*" || t === entry.type);
+    for (const channel of NOTIFY_CHANNELS) {
+      const key = `${entry._id}:${audience}:${channel}`;
+      const doc = {
+        key,
+        event: entry.type,
+        channel,
+        to,
+        audience,
+        subject: renderTemplate(tpl.subject, vars),
+        text: renderTemplate(tpl.text, vars),
+        data: { ...entry.data, bookingId: booking._id },
+        status: optedOut ? "skipped" : "pending",
+      };
+      try {
+        const r = await Notification.updateOne({ key }, { $setOnInsert: doc }, { upsert: true });
+        queued += r.upsertedCount;
+      } catch (e) {
+        if (e.code !== 11000) throw e; // another relay got there first
+      }
+    }
+  }
+  return queued;
+}
+
+// Move outbox entries off bookings/reviews into the Notification queue
+async function relayOutbox({ limit = 100 } = {}) {
+  let relayed = 0;
+  const sources = [
+    [Booking, (doc) => ({ booking: doc })],
+    [Review, async (doc) => ({ booking: await Booking.findById(doc.bookingId), review: doc })],
+  ];
+  for (const [Model, context] of sources) {
+    const docs = await Model.find({ "outbox.at": { $exists: true } }).limit(limit);
+    for (const doc of docs) {
+      const { booking, review } = await context(doc);
+      for (const entry of doc.outbox) {
+        await enqueueNotifications(entry, booking, review);
+        await Model.updateOne({ _id: doc._id }, { $pull: { outbox: { _id: entry._id } } });
+        relayed += 1;
+      }
+    }
+  }
+  return relayed;
+}
+
+const retryDelay = (attempt) => Math.min(30 * 1000 * 2 ** (attempt - 1), HOUR) * (0.8 + Math.random() * 0.4);
+
+// Send what's due; failures back off exponentially and go to "dead" after NOTIFY_MAX_ATTEMPTS
+async function dispatchNotifications({ limit = 50 } = {}) {
+  const stats = { sent: 0, retrying: 0, dead: 0 };
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const n = await Notification.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + NOTIFY_LEASE_MS) }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!n) break;
+    try {
+      const channel = notificationChannels[n.channel];
+      if (!channel) throw new Error(`Unknown channel ${n.channel}`);
+      await channel.send(n);
+      await Notification.updateOne({ _id: n._id }, { status: "sent", sentAt: new Date(), $unset: { lastError: 1 } });
+      stats.sent += 1;
+    } catch (e) {
+      const dead = n.attempts >= NOTIFY_MAX_ATTEMPTS;
+      const update = dead
+        ? { status: "dead", lastError: e.message }
+        : { nextAttemptAt: new Date(Date.now() + retryDelay(n.attempts)), lastError: e.message };
+      await Notification.updateOne({ _id: n._id }, update);
+      stats[dead ? "dead" : "retrying"] += 1;
+    }
+  }
+  return stats;
+}
+
+async function processOutbox() {
+  const relayed = await relayOutbox();
+  return { relayed, ...(await dispatchNotifications()) };
+}
+
+// ---------------- Booking Lifecycle ----------------
+const canTransition = (from, to) => !!BOOKING_TRANSITIONS[from]?.includes(to);
+
+// Compare-and-set on the current status so two racing actions can't both apply; null = lost the race.
+// `set` adds fields to the same update; `refundAmount` overrides the full refund on cancellation.
+async function transitionBooking(b, to, by, note, { set = {}, refundAmount } = {}) {
+  const from = b.status;
+  if (!canTransition(from, to)) return null;
+  const push = { history: { from, to, at: new Date(), by, note } };
+  if (STATUS_NOTIFICATIONS[to]) push.outbox = outboxEntry(STATUS_NOTIFICATIONS[to], { from, to, by, note });
+  const updated = await Booking.findOneAndUpdate(
+    { _id: b._id, status: from },
+    { $set: { ...set, status: to }, $push: push },
+    { new: true }
+  );
+  if (!updated) return null;
+  if (VOID_BOOKING_STATUSES.includes(to)) await flagReviewForBooking(updated._id, `booking_${to}`);
+  let result = updated;
+  if (CANCELLED_BOOKING_STATUSES.includes(to)) {
+    await releaseSlot(updated.slotId);
+    await releaseCoupon(updated);
+    // a refund changes paymentStatus, so hand back the fresh doc
+    if (await refundPayment(updated, refundAmount, note)) result = await Booking.findById(updated._id);
+  }
+  await publishBookingEvent("booking.updated", result, { from, by });
+  return result;
+}
+
+// ---------------- Cancellation Policies ----------------
+const HOUR = 60 * MINUTE;
+
+function normalizeTiers(tiers) {
+  if (!Array.isArray(tiers) || !tiers.length) throw httpError(400, "At least one tier is required");
+  return tiers
+    .map((t) => ({
+      minHoursBefore: Number(t.minHoursBefore),
+      refundPct: Number(t.refundPct),
+      feeFlat: Number(t.feeFlat || 0),
+    }))
+    .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+}
+
+// Refund/penalty for cancelling `b` at `at`. Without a policy the customer gets everything back.
+function computeCancellation(b, policy, at = new Date()) {
+  const hoursBefore = (new Date(b.bookingDate) - at) / HOUR;
+  let refundPct = 100;
+  let feeFlat = 0;
+  if (policy) {
+    const tier = [...policy.tiers]
+      .sort((x, y) => y.minHoursBefore - x.minHoursBefore)
+      .find((t) => hoursBefore >= t.minHoursBefore);
+    refundPct = tier?.refundPct ?? 0;
+    feeFlat = tier?.feeFlat || 0;
+  }
+  const refundable = money(Math.max((b.price * refundPct) / 100 - feeFlat, 0));
+  const paid = b.paymentStatus === "paid";
+  return {
+    at,
+    hoursBefore: Number(hoursBefore.toFixed(2)),
+    policyId: policy?._id,
+    policyName: policy?.name || "Full refund",
+    refundPct,
+    refundAmount: paid ? refundable : 0,
+    penalty: money(b.price - refundable),
+    paid,
+  };
+}
+
+async function cancellationFor(b, at) {
+  const svc = await Service.findById(b.serviceId).select("cancellationPolicyId");
+  const policy = svc?.cancellationPolicyId ? await CancellationPolicy.findById(svc.cancellationPolicyId) : null;
+  return computeCancellation(b, policy, at);
+}
+
+// ---------------- Pricing & Quotes ----------------
+const CURRENCY = process.env.CURRENCY || "BDT";
+const PLATFORM_FEE_PCT = Number(process.env.PLATFORM_FEE_PCT || 0);
+const PLATFORM_FEE_FLAT = Number(process.env.PLATFORM_FEE_FLAT || 0);
+const TAX_RATE_PCT = Number(process.env.TAX_RATE_PCT || 0);
+const QUOTE_TTL_MIN = Number(process.env.QUOTE_TTL_MIN || 15);
+// Missing secrets fall back to a random per-instance value: fine locally, breaks across serverless instances
+function secretFromEnv(name) {
+  if (process.env[name]) return process.env[name];
+  console.warn(`${name} not set; using a per-instance random secret.`);
+  return crypto.randomBytes(32).toString("hex");
+}
+const QUOTE_SECRET = secretFromEnv("QUOTE_SECRET");
+
+const money = (n) => Math.round(n * 100) / 100;
+
+// Itemised charge computed only from server-side data; fees and tax apply after the discount
+function computeQuote(svc, coupon) {
+  const base = money(svc.price);
+  const discount = coupon ? couponDiscount(coupon, base) : 0;
+  const net = money(base - discount);
+  const fee = money((net * PLATFORM_FEE_PCT) / 100 + (PLATFORM_FEE_FLAT || 0));
+  const tax = money(((net + fee) * TAX_RATE_PCT) / 100);
+  const lines = [{ code: "base", label: svc.name, amount: base }];
+  if (discount) lines.push({ code: "discount", label: `Promo ${coupon.code}`, amount: -discount });
+  if (fee) lines.push({ code: "platform_fee", label: "Platform fee", amount: fee });
+  if (tax) lines.push({ code: "tax", label: `Tax (${TAX_RATE_PCT}%)`, amount: tax });
+  const quote = { currency: CURRENCY, lines, subtotal: base, discount, total: money(net + fee + tax) };
+  if (coupon) quote.coupon = { couponId: String(coupon._id), code: coupon.code, discount };
+  return quote;
+}
+
+// Signed tokens: base64url JSON payload with an `exp`, then its HMAC. Quotes use QUOTE_SECRET; other kinds
+// pass their own key so a token of one kind is never accepted as another.
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const hmac = (data, key) => crypto.createHmac("sha256", key).update(data).digest("base64url");
+
+function signToken(payload, key = QUOTE_SECRET) {
+  const body = b64url(JSON.stringify(payload));
+  return `${body}.${hmac(body, key)}`;
+}
+
+// Where the job is, as signed into a quote: its area check only holds for that spot
+const placeKey = (place) => place?.location.coordinates.join(",") ?? null;
+
+// Returns the payload for a valid, unexpired token, else null
+function verifyToken(token, key = QUOTE_SECRET) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+  const expected = Buffer.from(hmac(body, key));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------- Coupons ----------------
+const couponDiscount = (c, base) => {
+  let d = c.type === "percent" ? (base * c.value) / 100 : c.value;
+  if (c.type === "percent" && c.maxDiscount != null) d = Math.min(d, c.maxDiscount);
+  return money(Math.min(d, base));
+};
+
+// Why a coupon can't be used for this service/user right now, or null if it can
+async function couponError(c, svc, userEmail) {
+  const now = new Date();
+  if (!c || !c.active) return "Invalid coupon code";
+  if ((c.startsAt && now < c.startsAt) || (c.endsAt && now > c.endsAt)) return "Coupon is not valid at this time";
+  if (c.categories?.length && !c.categories.includes(svc.category)) return "Coupon does not apply to this category";
+  if (c.providerEmails?.length && !c.providerEmails.includes(svc.providerEmail)) {
+    return "Coupon does not apply to this provider";
+  }
+  if (svc.price < (c.minOrder || 0)) return `Minimum order is ${c.minOrder}`;
+  if (c.maxRedemptions && c.redeemedCount >= c.maxRedemptions) return "Coupon has been fully redeemed";
+  const used = await CouponRedemption.findOne({ couponId: c._id, userEmail }).select("count");
+  if ((used?.count || 0) >= c.perUserLimit) return "You have already used this coupon";
+  return null;
+}
+
+// Take one global and one per-user redemption atomically; undoes the global one if the user is over limit
+async function redeemCoupon(couponId, userEmail, bookingId) {
+  const now = new Date();
+  const c = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      active: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+        { $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redeemedCount", "$maxRedemptions"] } }] },
+      ],
+    },
+    { $inc: { redeemedCount: 1 } },
+    { new: true }
+  );
+  if (!c) return null;
+
+  const filter = { couponId, userEmail, count: { $lt: c.perUserLimit } };
+  const update = { $inc: { count: 1 }, $push: { bookingIds: bookingId } };
+  let usage;
+  try {
+    usage = await CouponRedemption.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    usage = await CouponRedemption.findOneAndUpdate(filter, update, { new: true });
+  }
+  if (!usage) {
+    await Coupon.updateOne({ _id: couponId, redeemedCount: { $gt: 0 } }, { $inc: { redeemedCount: -1 } });
+    return null;
+  }
+  return c;
+}
+
+// Give the redemption back (cancelled booking or failed create)
+async function releaseCoupon(b) {
+  const couponId = b.coupon?.couponId;
+  if (!couponId) return;
+  const usage = await CouponRedemption.updateOne(
+    { couponId, userEmail: b.userEmail, bookingIds: b._id },
+    { $inc: { count: -1 }, $pull: { bookingIds: b._id } }
+  );
+  if (usage.modifiedCount) {
+    await Coupon.updateOne({ _id: couponId, redeemedCount: { $gt: 0 } }, { $inc: { redeemedCount: -1 } });
+  }
+}
+
+const COUPON_FIELDS = [
+  "code",
+  "type",
+  "value",
+  "maxDiscount",
+  "minOrder",
+  "categories",
+  "providerEmails",
+  "startsAt",
+  "endsAt",
+  "maxRedemptions",
+  "perUserLimit",
+  "active",
+];
+const pickCouponFields = (body) =>
+  COUPON_FIELDS.reduce((acc, k) => (k in body ? { ...acc, [k]: body[k] } : acc), {});
+
+// ---------------- Payments ----------------
+const PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY || "mock";
+const PAYMENT_WEBHOOK_SECRET = secretFromEnv("PAYMENT_WEBHOOK_SECRET");
+const WEBHOOK_TOLERANCE_SEC = 5 * 60;
+
+// A gateway creates intents and refunds; outcomes arrive later through POST /payments/webhook.
+// The mock one needs no network: drive it with POST /payments/mock/:ref/succeed|fail
+const mockGateway = {
+  name: "mock",
+  async createIntent() {
+    const ref = `mock_pi_${crypto.randomBytes(8).toString("hex")}`;
+    return { ref, clientSecret: `${ref}_secret`, checkoutUrl: `/payments/mock/${ref}` };
+  },
+  async refund() {
+    return { ref: `mock_re_${crypto.randomBytes(8).toString("hex")}`, status: "succeeded" };
+  },
+};
+const paymentGateways = { mock: mockGateway };
+
+function getGateway(name = PAYMENT_GATEWAY) {
+  const gw = paymentGateways[name];
+  if (!gw) throw new Error(`Unknown payment gateway: ${name}`);
+  return gw;
+}
+
+// Signature header format: "t=<unix seconds>,v1=<hex hmac-sha256 of `${t}.${rawBody}`>"
+function signWebhook(raw, t = Math.floor(Date.now() / 1000), secret = PAYMENT_WEBHOOK_SECRET) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${t}.${raw}`).digest("hex");
+  return `t=${t},v1=${v1}`;
+}
+
+function verifyWebhookSignature(raw, header) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((p) => p.trim().split("=")));
+  const t = Number(parts.t);
+  if (!t || !parts.v1 || Math.abs(Date.now() / 1000 - t) > WEBHOOK_TOLERANCE_SEC) return false;
+  const expected = Buffer.from(signWebhook(raw, t).split("v1=")[1]);
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const publicPayment = (p) =>
+  p && {
+    id: p._id,
+    gateway: p.gateway,
+    amount: p.amount,
+    currency: p.currency,
+    status: p.status,
+    clientSecret: p.clientSecret,
+    checkoutUrl: p.checkoutUrl,
+  };
+
+// Open a payment intent for the booking's stored price; free bookings are paid outright
+async function startPayment(b) {
+  if (!(b.price > 0)) {
+    await Booking.updateOne({ _id: b._id }, { paymentStatus: "paid" });
+    return null;
+  }
+  const gw = getGateway();
+  const currency = b.priceBreakdown?.currency || CURRENCY;
+  const intent = await gw.createIntent({ amount: b.price, currency, bookingId: String(b._id) });
+  const p = await Payment.create({
+    bookingId: b._id,
+    userEmail: b.userEmail,
+    amount: b.price,
+    currency,
+    gateway: gw.name,
+    ...intent,
+  });
+  await Booking.updateOne({ _id: b._id }, { paymentId: p._id, paymentStatus: "unpaid" });
+  return p;
+}
+
+async function markRefunded(bookingId, amount, paid) {
+  const paymentStatus = amount < paid ? "partially_refunded" : "refunded";
+  const b = await Booking.findByIdAndUpdate(bookingId, { paymentStatus }, { new: true });
+  if (b) await publishBookingEvent("booking.payment", b);
+}
+
+// Refund a paid booking (full amount unless given); returns the Refund record or null if nothing to refund
+async function refundPayment(b, amount, reason) {
+  if (!b.paymentId || b.paymentStatus !== "paid") return null;
+  const p = await Payment.findById(b.paymentId);
+  if (!p || p.status !== "paid") return null;
+  const value = money(Math.min(amount ?? p.amount, p.amount));
+  if (value <= 0) return null;
+
+  const r = await Refund.create({
+    paymentId: p._id,
+    bookingId: b._id,
+    amount: value,
+    currency: p.currency,
+    gateway: p.gateway,
+    reason,
+  });
+  try {
+    const out = await getGateway(p.gateway).refund({ ref: p.ref, amount: value, currency: p.currency });
+    r.ref = out.ref;
+    r.status = out.status || "pending";
+  } catch (e) {
+    console.error("Refund failed:", e.message);
+    r.status = "failed";
+  }
+  await r.save();
+  if (r.status === "succeeded") await markRefunded(b._id, value, p.amount);
+  return r;
+}
+
+// Apply a verified gateway event; every branch is a conditional update so replays are no-ops
+async function applyPaymentEvent(evt) {
+  const gateway = evt.gateway || PAYMENT_GATEWAY;
+  const ref = evt.data?.ref;
+  if (!ref) return { handled: false };
+
+  if (evt.type === "payment.succeeded") {
+    const p = await Payment.findOneAndUpdate(
+      { gateway, ref, status: { $ne: "paid" } },
+      { status: "paid", paidAt: new Date(), $unset: { failureReason: 1 } },
+      { new: true }
+    );
+    if (!p) return { handled: false };
+    const b = await Booking.findByIdAndUpdate(p.bookingId, { paymentStatus: "paid", paymentId: p._id }, { new: true });
+    if (b) await publishBookingEvent("booking.payment", b);
+    // money arrived for a booking that was cancelled in the meantime
+    if (b && CANCELLED_BOOKING_STATUSES.includes(b.status)) await refundPayment(b, undefined, "Paid after cancellation");
+    return { handled: true };
+  }
+  if (evt.type === "payment.failed") {
+    const p = await Payment.findOneAndUpdate(
+      { gateway, ref, status: "pending" },
+      { status: "failed", failureReason: evt.data?.reason },
+      { new: true }
+    );
+    if (!p) return { handled: false };
+    const b = await Booking.findOneAndUpdate(
+      { _id: p.bookingId, paymentId: p._id, paymentStatus: "unpaid" },
+      { paymentStatus: "failed" },
+      { new: true }
+    );
+    if (b) await publishBookingEvent("booking.payment", b);
+    return { handled: true };
+  }
+  if (evt.type === "refund.succeeded" || evt.type === "refund.failed") {
+    const status = evt.type === "refund.succeeded" ? "succeeded" : "failed";
+    const r = await Refund.findOneAndUpdate({ gateway, ref, status: "pending" }, { status }, { new: true });
+    if (!r) return { handled: false };
+    if (status === "succeeded") {
+      const p = await Payment.findById(r.paymentId).select("amount");
+      await markRefunded(r.bookingId, r.amount, p?.amount ?? r.amount);
+    }
+    return { handled: true };
+  }
+  return { handled: false };
+}
+
+// Shared by the public webhook and the mock driver so both go through signature checks
+async function handleWebhook(raw, signature) {
+  if (!verifyWebhookSignature(raw, signature)) return null;
+  const evt = JSON.parse(raw.toString());
+  return applyPaymentEvent(evt);
+}
+
+// ---------------- Health & Diagnostics ----------------
+app.get("/healthz", (req, res) => res.status(200).send("ok"));
+
+app.get("/__db", async (req, res) => {
+  try {
+    await connectDB();
+    const ping = await mongoose.connection.db.admin().command({ ping: 1 }).catch(() => ({ ok: 0 }));
+    const total = await Service.estimatedDocumentCount().catch(() => null);
+    res.json({ ok: true, mongo: { host: mongoose.connection.host, ping: ping.ok === 1 }, services: total });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ---------------- TEMP Seed Routes (remove after use) ----------------
+app.all("/__seed", async (req, res) => {
+  try {
+    const key = (req.query.key || req.body?.key || "").toString();
+    if (!process.env.SEED_KEY || key !== process.env.SEED_KEY) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    await connectDB();
+
+    const already = await Service.countDocuments();
+    if (already > 0) {
+      return res.status(400).json({ message: "DB already has data", total: already });
+    }
+
+    const samples = [
+      {
+        name: "AC Repair & Service",
+        category: "Electrical",
+        price: 1200,
+        description: "Split/Window AC servicing, gas refill, and minor repairs.",
+        image:
+          "https://images.unsplash.com/photo-1581093588401-16ecce3b9f6b?q=80&w=1200&auto=format&fit=crop",
+        providerName: "CoolFix",
+        providerEmail: "coolfix@demo.com",
+        ratingAvg: 4.7,
+      },
+      {
+        name: "Deep Cleaning (2BHK)",
+        category: "Cleaning",
+        price: 3000,
+        description: "Full home deep cleaning with eco-friendly supplies.",
+        image:
+          "https://images.unsplash.com/photo-1603715749720-5f28b4c81f01?q=80&w=1200&auto=format&fit=crop",
+        providerName: "CleanPros",
+        providerEmail: "clean@demo.com",
+        ratingAvg: 4.8,
+      },
+      {
+        name: "Plumbing Fix",
+        category: "Plumbing",
+        price: 800,
+        description: "Leak fix, tap replacement, drain unclog.",
+        image:
+          "https://images.unsplash.com/photo-1581578017423-3b9b6a9a62da?q=80&w=1200&auto=format&fit=crop",
+        providerName: "PipeMasters",
+        providerEmail: "plumb@demo.com",
+        ratingAvg: 4.5,
+      },
+      {
+        name: "Electrician On-Demand",
+        category: "Electrical",
+        price: 600,
+        description: "Fan, light, socket, MCB, wiring and more.",
+        image:
+          "https://images.unsplash.com/photo-1517048676732-d65bc937f952?q=80&w=1200&auto=format&fit=crop",
+        providerName: "VoltCare",
+        providerEmail: "electric@demo.com",
+        ratingAvg: 4.6,
+      },
+    ];
+
+    const docs = await Promise.all(
+      samples.map(async (s) => ({
+        ...s,
+        slug: await uniqueSlugForNew(s.name),
+        providerId: (await ensureProvider(s.providerEmail, s.providerName))._id,
+        searchIndex: searchIndexFor(s),
+      }))
+    );
+    const result = await Service.insertMany(docs);
+    for (const svc of result) await refreshSuggestions(svc);
+    const total = await Service.countDocuments();
+
+    res.json({ seeded: result.length, total });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Scheduled Jobs ----------------
+// How often the scheduler calls /__cron: vercel.json's daily entry on Vercel, the local ticker elsewhere.
+// No job can run more often than this, so the time limits below are only as sharp as it is.
+const CRON_INTERVAL_MIN = Number(process.env.CRON_INTERVAL_MIN || (process.env.VERCEL ? 24 * 60 : 1));
+const HOLD_TTL_MIN = Number(process.env.HOLD_TTL_MIN || 30); // unpaid requests hold their slot at least this long
+const AUTO_COMPLETE_HOURS = Number(process.env.AUTO_COMPLETE_HOURS || 24); // after bookingDate
+const PURGE_AFTER_DAYS = Number(process.env.PURGE_AFTER_DAYS || 30);
+const JOB_LOCK_MS = 10 * MINUTE; // a crashed run's lock frees itself after this
+const JOB_BATCH = 200;
+// [name, lead]: each reminder goes out on the first run within its lead time of the booking, until the next
+// shorter reminder takes over. One the scheduler can't hit (lead under CRON_INTERVAL_MIN) is left out.
+const REMINDER_WINDOWS = [
+  ["24h", DAY],
+  ["1h", HOUR],
+].filter(([, lead]) => lead >= CRON_INTERVAL_MIN * MINUTE);
+
+async function sendBookingReminders() {
+  const result = {};
+  for (const [i, [window, to]] of REMINDER_WINDOWS.entries()) {
+    const from = REMINDER_WINDOWS[i + 1]?.[1] ?? 0;
+    const now = Date.now();
+    const due = await Booking.find({
+      status: "confirmed",
+      bookingDate: { $gt: new Date(now + from), $lte: new Date(now + to) },
+      remindersSent: { $ne: window },
+    })
+      .select("_id")
+      .limit(JOB_BATCH);
+    let sent = 0;
+    for (const { _id } of due) {
+      // the $ne guard makes a second run a no-op even if the lock was lost
+      const r = await Booking.updateOne(
+        { _id, status: "confirmed", remindersSent: { $ne: window } },
+        { $addToSet: { remindersSent: window }, $push: { outbox: outboxEntry("booking.reminder", { window }) } }
+      );
+      sent += r.modifiedCount;
+    }
+    result[window] = sent;
+  }
+  return result;
+}
+
+// Bookings nobody closed out: confirmed ones go through in_progress, as the provider would have.
+// Only paid (or free) ones complete on their own. Any other past booking (paid on site, or from before online
+// payment) may not have happened, so it's flagged for its provider instead: they get told once and see it
+// under GET /provider/bookings?settlementDue=true until they complete it or mark a no-show.
+async function autoCompleteBookings() {
+  const cutoff = new Date(Date.now() - AUTO_COMPLETE_HOURS * HOUR);
+  const past = { status: { $in: ["confirmed", "in_progress"] }, bookingDate: { $lt: cutoff } };
+  const due = await Booking.find({ ...past, paymentStatus: "paid" }).limit(JOB_BATCH);
+  let completed = 0;
+  for (const b of due) {
+    const started = b.status === "confirmed" ? await transitionBooking(b, "in_progress", "system", "Auto-started") : b;
+    if (started && (await transitionBooking(started, "completed", "system", "Auto-completed"))) completed += 1;
+  }
+
+  const unsettled = { ...past, paymentStatus: { $ne: "paid" }, settlementDueAt: null };
+  const flag = await Booking.find(unsettled).select("_id").limit(JOB_BATCH);
+  let flagged = 0;
+  for (const { _id } of flag) {
+    const r = await Booking.updateOne(
+      { _id, ...unsettled },
+      { $set: { settlementDueAt: new Date() }, $push: { outbox: outboxEntry("booking.settlement_due", {}) } }
+    );
+    flagged += r.modifiedCount;
+  }
+  return { completed, flagged };
+}
+
+// Requests still unpaid after HOLD_TTL_MIN give their slot back. Accepted bookings are left alone: the provider
+// agreed to them, and they may be paid on site.
+async function expireUnpaidHolds() {
+  const cutoff = new Date(Date.now() - HOLD_TTL_MIN * MINUTE);
+  const due = await Booking.find({
+    status: "requested",
+    paymentStatus: { $in: ["unpaid", "failed"] },
+    price: { $gt: 0 },
+    createdAt: { $lt: cutoff },
+  }).limit(JOB_BATCH);
+  let expired = 0;
+  for (const b of due) {
+    if (await transitionBooking(b, "expired", "system", `Unpaid after ${HOLD_TTL_MIN} minutes`)) expired += 1;
+  }
+  return { expired };
+}
+
+// Events, search queries and job runs expire through TTL indexes; this covers the rest
+async function purgeStaleData() {
+  const cutoff = new Date(Date.now() - PURGE_AFTER_DAYS * DAY);
+  const slots = await Slot.deleteMany({ start: { $lt: cutoff } });
+  const delivered = await Notification.deleteMany({ status: { $in: ["sent", "skipped"] }, updatedAt: { $lt: cutoff } });
+  // dead letters are kept longer so someone can still look at them
+  const dead = await Notification.deleteMany({ status: "dead", updatedAt: { $lt: new Date(cutoff - 60 * DAY) } });
+  return { slots: slots.deletedCount, notifications: delivered.deletedCount, deadLetters: dead.deletedCount };
+}
+
+async function collectOrphanUploads() {
+  const cutoff = new Date(Date.now() - UPLOAD_ORPHAN_HOURS * HOUR);
+  const orphans = await Upload.find({ serviceId: null, updatedAt: { $lt: cutoff } }).limit(JOB_BATCH);
+  let removed = 0;
+  for (const u of orphans) if (await removeUpload(u)) removed += 1;
+  return { removed };
+}
+
+// everyMinutes is the minimum gap between runs; the cron route fires more often than most jobs need
+const jobs = {
+  notifications: { everyMinutes: 1, run: processOutbox },
+  "booking-reminders": { everyMinutes: 5, run: sendBookingReminders },
+  "expire-holds": { everyMinutes: 5, run: expireUnpaidHolds },
+  "auto-complete": { everyMinutes: 60, run: autoCompleteBookings },
+  purge: { everyMinutes: 24 * 60, run: purgeStaleData },
+  "upload-gc": { everyMinutes: 60, run: collectOrphanUploads },
+};
+
+// Take the job's lock if it's free and (unless forced) the job is due. Returns the owner token, or null.
+async function acquireJobLock(name, force) {
+  const now = new Date();
+  const owner = crypto.randomUUID();
+  const filter = { _id: name, lockedUntil: { $lte: now } };
+  if (!force) {
+    const dueBefore = new Date(now - jobs[name].everyMinutes * MINUTE);
+    filter.$or = [{ lastStartedAt: null }, { lastStartedAt: { $lte: dueBefore } }];
+  }
+  try {
+    await JobLock.findOneAndUpdate(
+      filter,
+      { $set: { owner, lockedUntil: new Date(now.getTime() + JOB_LOCK_MS), lastStartedAt: now } },
+      { upsert: true }
+    );
+    return owner;
+  } catch (e) {
+    if (e.code === 11000) return null; // held, or not due yet
+    throw e;
+  }
+}
+
+// Runs one job under its lock and records the run. Not-due polls aren't recorded; lock contention is.
+async function runJob(name, trigger, { force = false } = {}) {
+  const owner = await acquireJobLock(name, force);
+  if (!owner) {
+    const lock = await JobLock.findById(name);
+    if (!(lock?.lockedUntil > new Date())) return { job: name, status: "not_due" };
+    const run = await JobRun.create({ job: name, trigger, status: "skipped", finishedAt: new Date(), error: "locked" });
+    return { job: name, status: run.status, runId: run._id };
+  }
+
+  const run = await JobRun.create({ job: name, trigger });
+  try {
+    run.result = await auditContext.run({ actor: `job:${name}` }, () => jobs[name].run());
+    run.status = "succeeded";
+  } catch (e) {
+    console.error(`Job ${name} failed:`, e);
+    run.status = "failed";
+    run.error = e.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await JobLock.updateOne({ _id: name, owner }, { $set: { lockedUntil: new Date() } });
+  }
+  return { job: name, status: run.status, runId: run._id, result: run.result };
+}
+
+async function runJobs(names, trigger, opts) {
+  const results = [];
+  for (const name of names) results.push(await runJob(name, trigger, opts));
+  return results;
+}
+
+// ---------------- Migrations (SEED_KEY protected, idempotent) ----------------
+const migrations = {
+  // Pre-lifecycle bookings have no status: past ones happened, future ones stand confirmed
+  "booking-status": async () => {
+    const now = new Date();
+    const missing = { status: { $exists: false } };
+    const at = { from: null, at: now, by: "system", note: "migration" };
+    const completed = await Booking.updateMany(
+      { ...missing, bookingDate: { $lt: now } },
+      { $set: { status: "completed" }, $push: { history: { ...at, to: "completed" } } }
+    );
+    const confirmed = await Booking.updateMany(
+      { ...missing, bookingDate: { $gte: now } },
+      { $set: { status: "confirmed" }, $push: { history: { ...at, to: "confirmed" } } }
+    );
+    // the old unconditional unique index would block rebooking a cancelled date
+    await Booking.collection.dropIndex("userEmail_1_serviceId_1_bookingDate_1").catch(() => null);
+    await Booking.syncIndexes();
+    return { completed: completed.modifiedCount, confirmed: confirmed.modifiedCount };
+  },
+  // Move Service.reviews[] into the Review collection, rebuild aggregates, then drop the embedded array
+  "reviews-collection": async () => {
+    let services = 0;
+    let reviews = 0;
+    const cursor = Service.collection.find({ "reviews.0": { $exists: true } }, { projection: { reviews: 1 } });
+    for await (const svc of cursor) {
+      const ops = svc.reviews
+        .filter((r) => r.userEmail && r.rating)
+        .map((r) => ({
+          updateOne: {
+            filter: { serviceId: svc._id, userEmail: String(r.userEmail).toLowerCase() },
+            update: {
+              $setOnInsert: {
+                rating: r.rating,
+                comment: r.comment || "",
+                createdAt: r.date || svc._id.getTimestamp(),
+                updatedAt: r.date || svc._id.getTimestamp(),
+              },
+            },
+            upsert: true,
+            timestamps: false,
+          },
+        }));
+      if (ops.length) await Review.bulkWrite(ops);
+      await recomputeRatingStats(svc._id);
+      await Service.collection.updateOne({ _id: svc._id }, { $unset: { reviews: "" } });
+      services += 1;
+      reviews += ops.length;
+    }
+    return { services, reviews };
+  },
+  // Reviews became one-per-booking: the old one-per-user unique index has to go
+  "review-per-booking": async () => {
+    const dropped = await Review.collection.dropIndex("serviceId_1_userEmail_1").then(() => true, () => false);
+    await Review.syncIndexes();
+    return { dropped };
+  },
+  // Build searchIndex for every service and swap the unused text index for the trigram one
+  "search-index": async () => {
+    let services = 0;
+    const cursor = Service.collection.find({}, { projection: { name: 1, category: 1, description: 1, providerName: 1 } });
+    for await (const svc of cursor) {
+      await Service.collection.updateOne({ _id: svc._id }, { $set: { searchIndex: searchIndexFor(svc) } });
+      services += 1;
+    }
+    await Service.collection.dropIndex("name_text_category_text").catch(() => null);
+    await Service.syncIndexes();
+    return { services };
+  },
+  // Seed autocomplete entries for services created before suggestions existed
+  "search-suggestions": async () => {
+    let services = 0;
+    for await (const svc of Service.find().cursor()) {
+      await refreshSuggestions(svc);
+      services += 1;
+    }
+    return { services, suggestions: await Suggestion.countDocuments() };
+  },
+  // One Provider per providerEmail, named after its most recently updated listing, linked to all of them
+  providers: async () => {
+    let providers = 0;
+    let services = 0;
+    const groups = await Service.aggregate([
+      { $sort: { updatedAt: -1 } },
+      { $group: { _id: "$providerEmail", name: { $first: "$providerName" } } },
+    ]);
+    for (const g of groups) {
+      if (!g._id) continue;
+      const provider = await ensureProvider(g._id, g.name);
+      const r = await Service.updateMany(
+        { providerEmail: g._id, providerId: { $ne: provider._id } },
+        { $set: { providerId: provider._id } }
+      );
+      await propagateProviderName(provider);
+      providers += 1;
+      services += r.modifiedCount;
+    }
+    return { providers, services };
+  },
+  // Provider permissions stopped being a default: grant them to everyone who already lists services
+  "provider-roles": async () => {
+    const emails = (await Service.distinct("providerEmail")).filter(Boolean);
+    const updated = await UserRole.updateMany(
+      { email: { $in: emails }, roles: { $ne: "provider" } },
+      { $addToSet: { roles: "provider" } }
+    );
+    const stored = await UserRole.distinct("email", { email: { $in: emails } });
+    const missing = emails.filter((email) => !stored.includes(email));
+    // they had both roles by default, so keep both
+    if (missing.length) await UserRole.insertMany(missing.map((email) => ({ email, roles: ["customer", "provider"] })));
+    return { updated: updated.modifiedCount, created: missing.length };
+  },
+};
+
+app.all("/__migrate", async (req, res) => {
+  try {
+    const key = (req.query.key || req.body?.key || "").toString();
+    if (!process.env.SEED_KEY || key !== process.env.SEED_KEY) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    const name = String(req.query.name || req.body?.name || "");
+    if (!migrations[name]) {
+      return res.status(400).json({ message: "Unknown migration", available: Object.keys(migrations) });
+    }
+    await connectDB();
+    const result = await migrations[name]();
+    res.json({ migration: name, result });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Scheduler entry point (vercel.json crons). Vercel sends `Authorization: Bearer $CRON_SECRET`.
+// ?job=a,b limits the run; ?force=true ignores everyMinutes (the lock still applies).
+const cronQuery = obj({ job: { type: "string" }, force: { type: "boolean", default: false } });
+
+app.get("/__cron", validate({ query: cronQuery }), async (req, res) => {
+  try {
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    const names = req.query.job ? String(req.query.job).split(",") : Object.keys(jobs);
+    const unknown = names.filter((n) => !jobs[n]);
+    if (unknown.length) return res.status(400).json({ message: "Unknown job", available: Object.keys(jobs) });
+    await connectDB();
+    res.json({ results: await runJobs(names, "cron", { force: req.query.force }) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Local storage adapter's files; uploads are immutable (a new image gets a new key)
+app.use("/uploads", express.static(UPLOAD_DIR, { immutable: true, maxAge: "365d", index: false }));
+
+// ---------------- Ensure DB for all API routes except healthz/seed/db/migrate/cron/docs ----------------
+app.use(async (req, res, next) => {
+  const skip = ["/healthz", "/__db", "/__seed", "/__migrate", "/__cron", "/openapi.json", "/docs"];
+  if (skip.includes(req.path)) return next();
+  try {
+    await connectDB();
+    next();
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ---------------- Rate Limiting ----------------
+// Fixed windows, counted per IP and (after verifyAuth) per user; a request over either limit gets a 429.
+// Limits are "<requests>/<seconds>", overridable per group with RATE_LIMIT_<GROUP>; "0" turns a group off.
+const RATE_LIMIT_DEFAULTS = {
+  global: "300/60", // every request, by IP
+  views: "30/60", // service pages; each hit counts a view
+  search: "60/60",
+  quotes: "30/60",
+  bookings: "10/60",
+  reviews: "10/600", // writing, replying and voting
+  listings: "20/3600", // new services and image uploads
+  messages: "30/60",
+};
+// Callers with their own auth that retry, and static content that doesn't touch the database
+const RATE_LIMIT_EXEMPT = ["/healthz", "/__cron", "/payments/webhook", "/openapi.json", "/docs"];
+const rateLimitExempt = (method, path) =>
+  RATE_LIMIT_EXEMPT.includes(path) || (["GET", "HEAD"].includes(method) && path.startsWith("/uploads/"));
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? "mongo" : "memory");
+
+const rateLimits = Object.fromEntries(
+  Object.entries(RATE_LIMIT_DEFAULTS).map(([group, spec]) => {
+    const [limit, seconds = 60] = (process.env[`RATE_LIMIT_${group.toUpperCase()}`] || spec).split("/").map(Number);
+    return [group, { limit, windowMs: seconds * 1000 }];
+  })
+);
+
+// hit(key, windowMs) -> { count, resetAt } for the window the request falls in
+const rateLimitStores = {
+  // one process only: fine locally, but every serverless instance would count separately
+  memory: {
+    windows: new Map(),
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let w = this.windows.get(key);
+      if (!w || w.resetAt <= now) {
+        if (this.windows.size >= 10000) {
+          for (const [k, old] of this.windows) if (old.resetAt <= now) this.windows.delete(k);
+        }
+        w = { count: 0, resetAt: Math.floor(now / windowMs) * windowMs + windowMs };
+        this.windows.set(key, w);
+      }
+      w.count += 1;
+      return w;
+    },
+  },
+  mongo: {
+    async hit(key, windowMs) {
+      await connectDB(); // some limited routes skip the ensure-DB middleware
+      const start = Math.floor(Date.now() / windowMs) * windowMs;
+      const filter = { _id: `${key}:${start}` };
+      const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(start + windowMs) } };
+      let doc;
+      try {
+        doc = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+      } catch (e) {
+        if (e.code !== 11000) throw e;
+        doc = await RateLimitCounter.findOneAndUpdate(filter, { $inc: { count: 1 } }, { new: true }).lean();
+      }
+      return { count: doc.count, resetAt: start + windowMs };
+    },
+  },
+};
+
+function rateLimit(group) {
+  const { limit, windowMs } = rateLimits[group];
+  const middleware = async (req, res, next) => {
+    if (!limit) return next();
+    const keys = [`${group}:ip:${req.ip || "unknown"}`];
+    if (req.auth?.email) keys.push(`${group}:user:${req.auth.email}`);
+    let hits;
+    try {
+      hits = await Promise.all(keys.map((key) => rateLimitStores[RATE_LIMIT_STORE].hit(key, windowMs)));
+    } catch (e) {
+      console.error("Rate limit store:", e.message); // fail open: a store outage shouldn't take the API down
+      return next();
+    }
+    // report the tightest of the keys
+    const { count, resetAt } = hits.reduce((a, b) => (b.count > a.count ? b : a));
+    const reset = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Policy": `${limit};w=${windowMs / 1000}`,
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - count)),
+      "RateLimit-Reset": String(reset),
+    });
+    if (count <= limit) return next();
+    res.set("Retry-After", String(reset));
+    res.status(429).json({ message: "Too many requests, please retry later", retryAfter: reset });
+  };
+  middleware.rateLimit = { group, limit, windowMs }; // read by the OpenAPI generator
+  return middleware;
+}
+
+const globalRateLimit = rateLimit("global");
+app.use((req, res, next) => (rateLimitExempt(req.method, req.path) ? next() : globalRateLimit(req, res, next)));
+
+// ---------------- Idempotency ----------------
+// Retried POSTs that carry the same Idempotency-Key get the first response back verbatim instead of running twice.
+// Keys are scoped to the caller and route; reusing one with a different payload is a 422.
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const IDEMPOTENCY_LOCK_MS = MINUTE; // a request still "processing" after this is presumed dead and may be taken over
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/; // printable ASCII, no spaces
+// Answers that may well differ next time (rate limited, server error) aren't kept. Anything else, a 409 for a
+// slot that's gone included, is the outcome of that request and replays as such.
+const idempotencyRetryable = (status) => status >= 500 || status === 429;
+// Kept with the body and replayed; the rest (rate limit counters, request id) belong to each attempt
+const IDEMPOTENCY_HEADERS = ["Content-Type", "Location", "Content-Location", "ETag"];
+
+// Same JSON regardless of key order, so a client re-serialising its payload still matches. Dates and ids
+// serialise as themselves.
+const canonicalJson = (v) => {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object" && typeof v.toJSON !== "function") {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v) ?? "null";
+};
+
+function replayIdempotent(res, rec) {
+  res.set("Idempotent-Replayed", "true");
+  res.set(rec.headers || {});
+  res.status(rec.statusCode).end(rec.body);
+}
+
+// Claims the key, or settles the request from an existing claim. Returns the record to finish, or null if answered.
+async function claimIdempotencyKey(res, _id, fingerprint) {
+  const now = Date.now();
+  const claim = { state: "processing", lockedUntil: new Date(now + IDEMPOTENCY_LOCK_MS) };
+  const expiresAt = new Date(now + IDEMPOTENCY_TTL_HOURS * HOUR);
+  try {
+    return await IdempotencyRecord.create({ _id, fingerprint, ...claim, expiresAt });
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+  }
+  const rec = await IdempotencyRecord.findById(_id);
+  if (!rec) return claimIdempotencyKey(res, _id, fingerprint); // expired in between
+  if (rec.fingerprint !== fingerprint) {
+    res.status(422).json({
+      message: "Idempotency-Key was already used with a different request",
+      code: "idempotency_key_reused",
+    });
+    return null;
+  }
+  if (rec.state === "done") {
+    replayIdempotent(res, rec);
+    return null;
+  }
+  // the first attempt died mid-flight: whoever swaps the lock first redoes it
+  const taken = await IdempotencyRecord.findOneAndUpdate(
+    { _id, state: "processing", lockedUntil: { $lte: new Date(now) } },
+    { $set: claim },
+    { new: true }
+  );
+  if (taken) return taken;
+  res.set("Retry-After", "1");
+  res.status(409).json({
+    message: "A request with this Idempotency-Key is in progress",
+    code: "idempotency_in_progress",
+  });
+  return null;
+}
+
+// Must run after verifyAuth and before validate() (which normalises the body in place)
+async function idempotent(req, res, next) {
+  const key = req.get("idempotency-key");
+  if (key == null) return next();
+  if (!IDEMPOTENCY_KEY.test(key)) {
+    const message = "Idempotency-Key must be 1-255 printable characters";
+    return res.status(400).json({ message, code: "invalid_value" });
+  }
+  try {
+    const who = req.auth?.email ? `user:${req.auth.email}` : `ip:${req.ip || "unknown"}`;
+    const _id = `${who}|${req.method} ${req.path}|${key}`;
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(canonicalJson({ query: req.query, body: req.body ?? null }))
+      .digest("base64url");
+    const rec = await claimIdempotencyKey(res, _id, fingerprint);
+    if (!rec) return;
+
+    // Capture the final bytes on their way out; store them before releasing the response, so a retry that
+    // arrives once the client has an answer always finds it. Retryable answers release the key instead.
+    const send = res.send;
+    res.send = function (body) {
+      if (typeof body !== "string" && !Buffer.isBuffer(body)) return send.call(this, body); // res.json calls back
+      res.send = send;
+      const done =
+        idempotencyRetryable(res.statusCode)
+          ? IdempotencyRecord.deleteOne({ _id, lockedUntil: rec.lockedUntil })
+          : IdempotencyRecord.updateOne(
+              { _id, lockedUntil: rec.lockedUntil },
+              {
+                $set: {
+                  state: "done",
+                  statusCode: res.statusCode,
+                  headers: Object.fromEntries(
+                    IDEMPOTENCY_HEADERS.filter((h) => res.get(h) != null).map((h) => [h, String(res.get(h))])
+                  ),
+                  body: Buffer.from(body),
+                },
+              }
+            );
+      done
+        .catch((e) => console.error(`Idempotency [${req.id}]:`, e.message))
+        .finally(() => send.call(this, body));
+      return this;
+    };
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+// ---------------- Audit Trail ----------------
+// Creates, updates and deletes on Services, Bookings, Favorites and Reviews are recorded by the auditTrail
+// schema plugin, whoever makes them (routes, jobs, migrations). Who/where comes from the request's async
+// context. What changed is taken from the write itself (the update, or the new document), never read back,
+// so auditing a write costs one insert; a path's earlier value is in the entity's previous entries.
+const auditContext = new AsyncLocalStorage();
+
+// after the body parsers: their stream callbacks would lose the context
+app.use((req, res, next) => auditContext.run({ req }, next));
+
+// Leaf values by dotted path; arrays, ids and dates stay whole
+function flattenDoc(doc, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(doc || {})) {
+    const p = prefix ? `${prefix}.${k}` : k;
+    if (v && v.constructor === Object) flattenDoc(v, p, out);
+    else out[p] = v;
+  }
+  return out;
+}
+
+// One { path, op, value } per path an update touches; op is the operator without its "$" ($inc's value is
+// the step). Plain keys and replacements count as "set"; pipeline stages set values we can't know here.
+function updateChanges(update, skip) {
+  const changes = Array.isArray(update)
+    ? update
+        .flatMap((stage) => Object.keys(stage.$set || stage.$addFields || {}))
+        .map((path) => ({ path, op: "pipeline" }))
+    : Object.entries(update || {}).flatMap(([op, fields]) =>
+        op.startsWith("$")
+          ? Object.entries(fields || {}).map(([path, v]) => ({
+              path,
+              op: op.slice(1),
+              value: op === "$unset" ? null : (v?.$each ?? v),
+            }))
+          : [{ path: op, op: "set", value: fields }]
+      );
+  return changes.filter((c) => !skip.has(c.path.split(".")[0]));
+}
+
+const createdEntry = (doc, skip) => ({
+  entityId: doc._id,
+  action: "create",
+  changes: Object.entries(flattenDoc(doc.toObject({ depopulate: true })))
+    .filter(([path]) => !skip.has(path.split(".")[0]))
+    .map(([path, value]) => ({ path, op: "set", value })),
+});
+
+// The ids a write's filter names, if it names them
+function filterIds(filter) {
+  const id = filter?._id;
+  if (id == null) return null;
+  if (Array.isArray(id.$in)) return id.$in;
+  return id.constructor === Object ? null : [id];
+}
+
+// Never fails the write it describes
+async function recordAudit(entity, entries) {
+  try {
+    const { req, actor } = auditContext.getStore() || {};
+    const base = {
+      entity,
+      actor: req?.auth?.email || actor || (req ? "anonymous" : "system"),
+      requestId: req?.id,
+      ip: req?.ip,
+    };
+    if (entries.length) await AuditEntry.insertMany(entries.map((e) => ({ ...base, ...e })));
+  } catch (e) {
+    console.error(`Audit ${entity}:`, e.message);
+  }
+}
+
+// ignore: top-level paths not worth an entry on their own (counters, derived data); writes touching only
+// those aren't recorded
+function auditTrail(schema, { entity, ignore = [] }) {
+  const skip = new Set(["_id", "__v", "updatedAt", ...ignore]);
+
+  // getChanges() is the update save is about to send
+  schema.pre("save", function () {
+    this.$locals.auditChanges = this.isNew ? null : updateChanges(this.getChanges(), skip);
+  });
+  schema.post("save", async function () {
+    const changes = this.$locals.auditChanges;
+    delete this.$locals.auditChanges;
+    if (changes === null) await recordAudit(entity, [createdEntry(this, skip)]);
+    else if (changes?.length) await recordAudit(entity, [{ entityId: this._id, action: "update", changes }]);
+  });
+  schema.post("insertMany", async function (docs) {
+    await recordAudit(entity, [docs].flat().map((d) => createdEntry(d, skip)));
+  });
+
+  // An upsert's _id is picked here, so the returned document tells whether this write created it
+  schema.pre("findOneAndUpdate", function () {
+    const update = this.getUpdate();
+    if (!this.getOptions().upsert || this.getFilter()._id != null || Array.isArray(update)) return;
+    this._auditUpsertId = new mongoose.Types.ObjectId();
+    this.setUpdate({ ...update, $setOnInsert: { ...update?.$setOnInsert, _id: this._auditUpsertId } });
+  });
+
+  const ops = ["findOneAndUpdate", "findOneAndReplace", "findOneAndDelete", "updateOne", "replaceOne", "deleteOne"];
+  schema.post([...ops, "updateMany", "deleteMany"], { document: false, query: true }, async function (res) {
+    const deleting = /delete/i.test(this.op);
+    let ids;
+    let count;
+    let created = false;
+    if (this.op.startsWith("findOneAnd")) {
+      const doc = res?.lastErrorObject ? res.value : res; // includeResultMetadata
+      if (!doc) return;
+      ids = [doc._id];
+      created = Boolean(this._auditUpsertId?.equals(doc._id));
+    } else if (res?.upsertedId) {
+      ids = [res.upsertedId];
+      created = true;
+    } else {
+      count = (deleting ? res?.deletedCount : res?.modifiedCount) || 0;
+      if (!count) return;
+      ids = filterIds(this.getFilter());
+    }
+
+    const action = created ? "create" : deleting ? "delete" : "update";
+    const changes = deleting ? [] : updateChanges(this.getUpdate(), skip);
+    const applied = created ? changes : changes.filter((c) => c.op !== "setOnInsert");
+    if (action === "update" && !applied.length) return;
+    // a write that didn't name its documents is recorded once, by its filter
+    const entries =
+      ids && (count == null || count === ids.length)
+        ? ids.map((entityId) => ({ entityId, action, changes: applied }))
+        : [{ action, changes: applied, filter: canonicalJson(this.getFilter()), count }];
+    await recordAudit(entity, entries);
+  });
+}
+
+// ---------------- Public APIs ----------------
+const SERVICE_SORTS = {
+  priceAsc: [["price", 1, Number], ["_id", 1, asId]],
+  priceDesc: [["price", -1, Number], ["_id", -1, asId]],
+  ratingDesc: [["ratingAvg", -1, Number], ["createdAt", -1, asDate], ["_id", -1, asId]],
+  createdDesc: [["createdAt", -1, asDate], ["_id", -1, asId]],
+  relevance: [["relevance", -1, Number], ["ratingAvg", -1, Number], ["_id", 1, asId]], // only with search
+  distance: [["distanceKm", 1, Number], ["_id", 1, asId]], // only with a location
+};
+
+const serviceListQuery = obj({
+  search: { type: "string", maxLength: 200 },
+  category: { type: "string" },
+  providerEmail: { type: "string" },
+  minPrice: { type: "number", minimum: 0 },
+  maxPrice: { type: "number", minimum: 0 },
+  minRating: { type: "number", minimum: 0, maximum: 5 },
+  sort: { type: "string", enum: Object.keys(SERVICE_SORTS) },
+  lat: { type: "number", minimum: -90, maximum: 90 },
+  lng: { type: "number", minimum: -180, maximum: 180 },
+  addressId: objectId,
+  cursor: { type: "string" },
+  page: { type: "integer", minimum: 1, default: 1 },
+  limit: { type: "integer", minimum: 1, maximum: 50, default: 12 },
+  withTotal: { type: "boolean" },
+  facets: { type: "boolean" },
+});
+
+// Saved addresses are private, so ?addressId= needs the caller's identity
+const authIfAddress = (req, res, next) => (req.query.addressId ? verifyAuth(req, res, next) : next());
+
+// Listing + search. ?facets=true (first page only) adds what each sidebar filter would count with the other
+// filters applied; clients ask for them when they draw the sidebar, not on every listing.
+// Paging: ?cursor= (from nextCursor) is the stable way; ?page= stays for older clients. Both return
+// nextCursor. The total is counted on page requests, or on cursor requests with ?withTotal=true.
+app.get("/services", validate({ query: serviceListQuery }), rateLimit("search"), authIfAddress, async (req, res) => {
+  try {
+    const { search, category, providerEmail, minPrice, maxPrice, minRating, sort, cursor, page, limit } = req.query;
+
+    const q = { ...LISTED_SERVICES };
+    if (providerEmail) q.providerEmail = providerEmail.toLowerCase();
+    const grams = search ? queryGrams(search) : [];
+    if (grams.length) Object.assign(q, searchMatch(search, grams));
+    // near a place: only services whose area covers it (services without an area are left out)
+    const point = (await locationFrom(req.query, req.auth))?.location;
+    if (point) Object.assign(q, coversPoint(point));
+    if (sort === "distance" && !point) {
+      return res.status(400).json({ message: "sort=distance needs lat/lng or addressId" });
+    }
+    if (sort === "relevance" && !grams.length) return res.status(400).json({ message: "sort=relevance needs search" });
+
+    const filters = {};
+    if (category) filters.category = { category };
+    if (minPrice != null || maxPrice != null) {
+      const price = {};
+      if (minPrice != null) price.$gte = minPrice;
+      if (maxPrice != null) price.$lte = maxPrice;
+      filters.price = { price };
+    }
+    if (minRating) filters.rating = { ratingAvg: { $gte: minRating } };
+    const matchExcept = (skip) => ({
+      $match: Object.assign({}, ...Object.entries(filters).filter(([k]) => k !== skip).map(([, f]) => f)),
+    });
+
+    const lim = limit;
+    const sortName = sort || (grams.length ? "relevance" : point ? "distance" : "createdDesc");
+    const spec = SERVICE_SORTS[sortName];
+    let paging = [{ $sort: sortOf(spec) }, { $skip: (page - 1) * lim }, { $limit: lim + 1 }];
+    if (cursor) {
+      const values = decodeCursor(cursor, spec, sortName);
+      if (!values) throw invalidCursor();
+      paging = [{ $match: afterCursor(spec, values) }, { $sort: sortOf(spec) }, { $limit: lim + 1 }];
+    }
+    const withTotal = req.query.withTotal ?? !cursor;
+    const withFacets = Boolean(req.query.facets) && !cursor;
+
+    const facetStages = {
+      items: [matchExcept(), ...paging],
+      ...(withTotal && { total: [matchExcept(), { $count: "n" }] }),
+      ...(withFacets && {
+        categories: [
+          matchExcept("category"),
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        price: [matchExcept("price"), { $bucketAuto: { groupBy: "$price", buckets: PRICE_FACET_BUCKETS } }],
+        rating: [
+          matchExcept("rating"),
+          {
+            $bucket: {
+              groupBy: { $ifNull: ["$ratingAvg", 0] },
+              boundaries: RATING_FACET_BOUNDARIES,
+              default: "other",
+            },
+          },
+        ],
+      }),
+    };
+
+    const [out] = await Service.aggregate([
+      { $match: q },
+      ...(grams.length ? relevanceStages(grams) : []),
+      ...(point ? [{ $addFields: { distanceKm: distanceKmExpr(point) } }] : []),
+      { $project: { searchIndex: 0, coverage: 0 } },
+      { $facet: facetStages },
+    ]);
+
+    const { items, nextCursor } = pageOf(out.items, spec, lim, sortName);
+    const body = { items, nextCursor };
+    if (withTotal) body.total = out.total[0]?.n || 0;
+    if (!cursor && withTotal) Object.assign(body, { page, pages: Math.ceil(body.total / lim) });
+    if (withFacets) {
+      body.facets = {
+        categories: out.categories.map((c) => ({ category: c._id, count: c.count })),
+        // [min, max) except the last bucket, which includes its max
+        price: out.price.map((b) => ({ min: b._id.min, max: b._id.max, count: b.count })),
+        rating: out.rating
+          .filter((b) => b._id !== "other")
+          .map((b) => ({ min: b._id, max: Math.min(b._id + 1, 5), count: b.count })),
+      };
+    }
+    if (grams.length && items.length && !cursor && page === 1) await recordSearch(search);
+    res.json(body);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/services/:id", validate({ params: idParams }), rateLimit("views"), async (req, res) => {
+  try {
+    const item = await Service.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } }, { new: true });
+    if (!item) return res.status(404).json({ message: "Service not found" });
+    await bumpSuggestions(item, SUGGEST_VIEW_WEIGHT);
+    res.json(item);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const slugParams = obj({ slug: { type: "string", maxLength: 120 } }, ["slug"]);
+
+app.get("/s/:slug", validate({ params: slugParams }), rateLimit("views"), async (req, res) => {
+  try {
+    const item = await Service.findOneAndUpdate({ slug: req.params.slug }, { $inc: { views: 1 } }, { new: true });
+    if (!item) return res.status(404).json({ message: "Service not found" });
+    await bumpSuggestions(item, SUGGEST_VIEW_WEIGHT);
+    res.json(item);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Open slots in [from, to); defaults to the next 7 days, max 31
+const availabilityQuery = obj({ from: dateInput, to: dateInput });
+
+app.get("/services/:id/availability", validate({ params: idParams, query: availabilityQuery }), async (req, res) => {
+  try {
+    const svc = await Service.findById(req.params.id).select("availability");
+    if (!svc) return res.status(404).json({ message: "Service not found" });
+    if (!hasSchedule(svc)) return res.json({ serviceId: svc._id, scheduled: false, slots: [] });
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * DAY);
+    if (to <= from) return res.status(400).json({ message: "to must be after from" });
+    if (to - from > 31 * DAY) return res.status(400).json({ message: "Range too large (max 31 days)" });
+
+    const { capacity, slotMinutes, tzOffsetMin } = svc.availability;
+    const starts = generateSlots(svc.availability, from, to);
+    const taken = await Slot.find({ serviceId: svc._id, start: { $gte: from, $lt: to } }).select("start booked");
+    const bookedAt = new Map(taken.map((s) => [s.start.getTime(), s.booked]));
+
+    const slots = starts
+      .map((start) => {
+        const booked = bookedAt.get(start.getTime()) || 0;
+        return {
+          start,
+          end: new Date(start.getTime() + slotMinutes * MINUTE),
+          capacity,
+          booked,
+          remaining: Math.max(capacity - booked, 0),
+        };
+      })
+      .filter((s) => s.remaining > 0);
+
+    res.json({ serviceId: svc._id, scheduled: true, slotMinutes, tzOffsetMin, slots });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const shortListQuery = obj({ limit: { type: "integer", minimum: 1, maximum: 12, default: 6 } });
+
+app.get("/top-services", validate({ query: shortListQuery }), async (req, res) => {
+  try {
+    const items = await Service.find(LISTED_SERVICES).sort({ ratingAvg: -1, createdAt: -1 }).limit(req.query.limit);
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/trending", validate({ query: shortListQuery }), async (req, res) => {
+  try {
+    const items = await Service.find(LISTED_SERVICES).sort({ views: -1, createdAt: -1 }).limit(req.query.limit);
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Autocomplete: services, categories and providers whose words start with what was typed, plus popular searches
+const suggestQuery = obj({
+  q: { type: "string", maxLength: 200, default: "" },
+  limit: { type: "integer", minimum: 1, maximum: 20, default: 8 },
+});
+
+app.get("/search/suggest", validate({ query: suggestQuery }), rateLimit("search"), async (req, res) => {
+  try {
+    const terms = searchTerms(req.query.q)
+      .slice(0, MAX_QUERY_TERMS)
+      .map((t) => t.slice(0, MAX_PREFIX_LENGTH));
+    if (!terms.length) return res.json({ suggestions: [], queries: [] });
+    const { limit } = req.query;
+
+    const [suggestions, queries] = await Promise.all([
+      Suggestion.find({ prefixes: { $all: terms } })
+        .sort({ popularity: -1 })
+        .limit(limit)
+        .select("kind label popularity serviceId slug providerEmail services -_id"),
+      popularQueries(terms.join(" "), 5),
+    ]);
+    res.json({ suggestions, queries });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Public provider page: profile, listings, rating across all services and completed jobs
+app.get("/providers/:slug", validate({ params: slugParams }), async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ slug: req.params.slug });
+    if (!provider || (await isSuspended(provider.email))) return res.status(404).json({ message: "Provider not found" });
+
+    const services = await Service.find({ providerId: provider._id, ...LISTED_SERVICES }).sort({
+      ratingAvg: -1,
+      createdAt: -1,
+    });
+    const serviceIds = (await Service.find({ providerId: provider._id }).select("_id")).map((s) => s._id);
+    const [ratings] = await Service.aggregate([
+      { $match: { providerId: provider._id } },
+      { $group: { _id: null, ratingSum: { $sum: "$ratingSum" }, reviewCount: { $sum: "$reviewCount" } } },
+    ]);
+    const completedJobs = await Booking.countDocuments({
+      serviceId: { $in: serviceIds },
+      status: { $in: HAPPENED_BOOKING_STATUSES },
+    });
+
+    const reviewCount = ratings?.reviewCount || 0;
+    res.json({
+      ...provider.toObject(),
+      ratingAvg: reviewCount ? Number((ratings.ratingSum / reviewCount).toFixed(2)) : 0,
+      reviewCount,
+      completedJobs,
+      services,
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const providerEmailQuery = obj({ email: { type: "string", format: "email" } }, ["email"]);
+
+app.get("/provider/summary", validate({ query: providerEmailQuery }), async (req, res) => {
+  try {
+    const email = req.query.email.toLowerCase();
+
+    const totalServices = await Service.countDocuments({ providerEmail: email });
+    const services = await Service.find({ providerEmail: email }).select("_id ratingAvg");
+    const serviceIds = services.map((s) => s._id);
+
+    const agg = await Booking.aggregate([
+      { $match: { serviceId: { $in: serviceIds }, status: { $in: HAPPENED_BOOKING_STATUSES } } },
+      { $group: { _id: null, count: { $sum: 1 }, revenue: { $sum: "$price" } } },
+    ]);
+
+    const totalBookings = agg[0]?.count || 0;
+    const totalRevenue = agg[0]?.revenue || 0;
+    const avgRating =
+      services.length ? Number((services.reduce((a, b) => a + (b.ratingAvg || 0), 0) / services.length).toFixed(2)) : 0;
+
+    res.json({ totalServices, totalBookings, totalRevenue, avgRating });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/provider/analytics", validate({ query: providerEmailQuery }), async (req, res) => {
+  try {
+    const email = req.query.email.toLowerCase();
+
+    const services = await Service.find({ providerEmail: email }).select("_id");
+    const serviceIds = services.map((s) => s._id);
+    if (!serviceIds.length) return res.json({ series: [] });
+
+    const agg = await Booking.aggregate([
+      { $match: { serviceId: { $in: serviceIds }, status: { $in: HAPPENED_BOOKING_STATUSES } } },
+      {
+        $group: {
+          _id: { y: { $year: "$bookingDate" }, m: { $month: "$bookingDate" } },
+          bookings: { $sum: 1 },
+          revenue: { $sum: "$price" },
+        },
+      },
+      { $sort: { "_id.y": 1, "_id.m": 1 } },
+    ]);
+
+    const series = agg.map((r) => ({
+      month: `${r._id.y}-${String(r._id.m).padStart(2, "0")}`,
+      bookings: r.bookings,
+      revenue: r.revenue,
+    }));
+
+    res.json({ series });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- PROTECTED APIs (require token if VERIFY_TOKEN=true) ----------------
+
+const hhmm = { type: "string", pattern: "^\\d{2}:\\d{2}$" };
+const availabilityBody = {
+  type: ["object", "null"],
+  properties: {
+    tzOffsetMin: {
+      type: "integer",
+      minimum: AVAILABILITY_BOUNDS.tzOffsetMin.min,
+      maximum: AVAILABILITY_BOUNDS.tzOffsetMin.max,
+    },
+    slotMinutes: {
+      type: "integer",
+      minimum: AVAILABILITY_BOUNDS.slotMinutes.min,
+      maximum: AVAILABILITY_BOUNDS.slotMinutes.max,
+    },
+    capacity: { type: "integer", minimum: 1 },
+    weekly: {
+      type: "array",
+      items: obj({ day: { type: "integer", minimum: 0, maximum: 6 }, start: hhmm, end: hhmm }, ["day", "start", "end"]),
+    },
+    blackouts: { type: "array", items: obj({ start: dateInput, end: dateInput, note: { type: "string" } }, ["start"]) },
+  },
+};
+const lngLat = { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 };
+const areaBody = {
+  type: ["object", "null"],
+  properties: {
+    lat: { type: "number", minimum: -90, maximum: 90 },
+    lng: { type: "number", minimum: -180, maximum: 180 },
+    radiusKm: { type: "number", exclusiveMinimum: 0, maximum: MAX_AREA_RADIUS_KM },
+    polygon: { type: "array", minItems: 3, items: lngLat },
+  },
+};
+const serviceFields = {
+  name: { type: "string", minLength: 1, maxLength: 120 },
+  category: { type: "string", minLength: 1, maxLength: 60 },
+  price: { type: "number", minimum: 0 },
+  description: { type: "string", minLength: 1, maxLength: 5000 },
+  image: { type: "string", minLength: 1 },
+  gallery: { type: "array", maxItems: GALLERY_MAX, items: objectId },
+  cover: objectId,
+  availability: availabilityBody,
+  area: areaBody,
+};
+const createServiceBody = obj(
+  { ...serviceFields, providerName: { type: "string" }, providerEmail: { type: "string", format: "email" } },
+  ["name", "category", "price", "description"]
+);
+const updateServiceBody = obj({
+  ...serviceFields,
+  cancellationPolicyId: { type: ["string", "null"], pattern: objectId.pattern },
+});
+
+// Create service (owner = token user when VERIFY_TOKEN=true; admins may create on behalf of a provider)
+const createService = [
+  verifyAuth,
+  rateLimit("listings"),
+  idempotent,
+  validate({ body: createServiceBody }),
+  authorize("service:create"),
+];
+
+app.post("/services", createService, async (req, res) => {
+  try {
+    const tokenEmail = (req.user?.email || "").toLowerCase();
+    const isProtected = VERIFY_TOKEN && !!tokenEmail && !(isAdmin(req.auth) && req.body.providerEmail);
+    const {
+      name,
+      category,
+      price,
+      description,
+      image,
+      providerName = "Unknown",
+      providerEmail,
+    } = req.body;
+
+    const hasGallery = req.body.gallery?.length > 0;
+    if (!image && !hasGallery) {
+      return res.status(400).json({
+        message: "image or gallery is required",
+        code: "validation_failed",
+        details: [{ field: "body.image", code: "required", message: "is required without a gallery" }],
+      });
+    }
+
+    const owner = isProtected ? tokenEmail : (providerEmail || "").toLowerCase();
+    if (!owner) {
+      const details = [{ field: "body.providerEmail", code: "required", message: "is required" }];
+      return res.status(400).json({ message: "providerEmail is required", code: "validation_failed", details });
+    }
+
+    const availability = normalizeAvailability(req.body.availability);
+    const place = normalizeArea(req.body.area);
+    const pictures = hasGallery ? await galleryFrom(req.body.gallery, req.body.cover, owner) : {};
+
+    const provider = await ensureProvider(owner, providerName);
+    const slug = await uniqueSlugForNew(name);
+    const doc = await Service.create({
+      name,
+      slug,
+      category,
+      price,
+      description,
+      image: pictures.image || image,
+      gallery: pictures.gallery,
+      coverUploadId: pictures.coverUploadId,
+      providerName: provider.name,
+      providerEmail: owner,
+      providerId: provider._id,
+      availability,
+      area: place?.area,
+      coverage: place?.coverage,
+      providerSuspended: await isSuspended(owner),
+      searchIndex: searchIndexFor({ name, category, description, providerName: provider.name }),
+    });
+    if (pictures.gallery) await attachGallery(doc._id, pictures.gallery);
+    await refreshSuggestions(doc);
+
+    res.status(201).json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Update (owner or admin)
+const updateService = [
+  verifyAuth,
+  validate({ params: idParams, body: updateServiceBody }),
+  authorize("service:update", resources.service),
+];
+
+app.patch("/services/:id", updateService, async (req, res) => {
+  try {
+    const doc = req.resource;
+
+    const updatable = ["name", "category", "price", "description", "image"];
+    const updates = {};
+    updatable.forEach((k) => {
+      if (k in req.body) updates[k] = req.body[k];
+    });
+    if ("availability" in req.body) updates.availability = normalizeAvailability(req.body.availability);
+    // with a gallery, `image` is the cover's URL: reorder/pick the cover via gallery + cover instead
+    if ("gallery" in req.body || "cover" in req.body) {
+      const ids = "gallery" in req.body ? req.body.gallery : (doc.gallery || []).map((g) => g.uploadId);
+      const pictures = await galleryFrom(ids, req.body.cover, doc.providerEmail, doc._id);
+      if (!pictures.gallery.length && !updates.image && doc.coverUploadId) {
+        return res.status(400).json({ message: "Send an image URL when clearing the gallery" });
+      }
+      Object.assign(updates, pictures);
+    } else if (updates.image && doc.gallery?.length) {
+      return res.status(400).json({ message: "This service uses a gallery; set its cover instead of image" });
+    }
+    if ("area" in req.body) {
+      const place = normalizeArea(req.body.area);
+      updates.area = place?.area ?? null;
+      updates.coverage = place?.coverage ?? null;
+    }
+    if ("cancellationPolicyId" in req.body) {
+      const policyId = req.body.cancellationPolicyId;
+      if (policyId) {
+        const policy = await CancellationPolicy.findById(policyId);
+        // a provider may use their own policies or the platform presets
+        if (!policy || (policy.providerEmail && policy.providerEmail !== doc.providerEmail)) {
+          return res.status(400).json({ message: "Unknown cancellation policy" });
+        }
+      }
+      updates.cancellationPolicyId = policyId || null;
+    }
+    if (updates.name) updates.slug = await uniqueSlugForUpdate(updates.name, req.params.id);
+    if (["name", "category", "description"].some((k) => k in updates)) {
+      updates.searchIndex = searchIndexFor({ ...doc.toObject(), ...updates });
+    }
+
+    const updated = await Service.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (updates.gallery) await attachGallery(updated._id, updates.gallery);
+    await refreshSuggestions(updated, { previous: doc });
+    res.json(updated);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Delete (owner or admin)
+app.delete("/services/:id", verifyAuth, withId, authorize("service:delete", resources.service), async (req, res) => {
+  try {
+    await Service.findByIdAndDelete(req.resource._id);
+    await attachGallery(req.resource._id); // its uploads become orphans for the upload-gc job
+    await refreshSuggestions(req.resource, { removed: true });
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Quote: server-computed breakdown + short-lived signed token that POST /bookings requires
+// Where the job happens: a saved address, or a point (+ free-text line)
+const placeFields = {
+  addressId: objectId,
+  lat: { type: "number", minimum: -90, maximum: 90 },
+  lng: { type: "number", minimum: -180, maximum: 180 },
+  addressLine: { type: "string", maxLength: 300 },
+};
+const quoteBody = obj(
+  {
+    serviceId: objectId,
+    bookingDate: dateInput,
+    couponCode: { type: "string", maxLength: 40 },
+    userEmail: { type: "string" },
+    ...placeFields,
+  },
+  ["serviceId", "bookingDate"]
+);
+
+const requestQuote = [verifyAuth, rateLimit("quotes"), validate({ body: quoteBody }), authorize("booking:create")];
+
+app.post("/bookings/quote", requestQuote, async (req, res) => {
+  try {
+    const tokenEmail = (req.user?.email || "").toLowerCase();
+    if (VERIFY_TOKEN && !tokenEmail) return res.status(401).json({ message: "Unauthorized" });
+
+    const { serviceId, bookingDate } = req.body;
+    const svc = await Service.findById(serviceId);
+    if (!svc) return res.status(404).json({ message: "Service not found" });
+    if (svc.providerSuspended) return res.status(403).json({ message: "This provider is not taking bookings" });
+    if (VERIFY_TOKEN && svc.providerEmail === tokenEmail) {
+      return res.status(403).json({ message: "You cannot book your own service" });
+    }
+
+    const when = new Date(bookingDate);
+    if (hasSchedule(svc) && !isSlotOpen(svc.availability, when)) {
+      return res.status(409).json({ message: "Slot is not available" });
+    }
+    const place = await locationFrom(req.body, req.auth);
+    const outside = await areaError(svc, place);
+    if (outside) return res.status(400).json({ message: outside });
+
+    const userEmail = VERIFY_TOKEN ? tokenEmail : (req.body.userEmail || "").toLowerCase();
+    let coupon = null;
+    if (req.body.couponCode) {
+      coupon = await Coupon.findOne({ code: String(req.body.couponCode).trim().toUpperCase() });
+      const why = await couponError(coupon, svc, userEmail);
+      if (why) return res.status(400).json({ message: why });
+    }
+
+    const quote = computeQuote(svc, coupon);
+    const expiresAt = new Date(Date.now() + QUOTE_TTL_MIN * MINUTE);
+    const quoteToken = signToken({
+      sid: String(svc._id),
+      date: when.toISOString(),
+      email: userEmail,
+      place: placeKey(place),
+      quote,
+      exp: expiresAt.getTime(),
+    });
+
+    res.json({ serviceId: svc._id, bookingDate: when, ...quote, quoteToken, expiresAt });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Bookings
+const bookingBody = obj(
+  {
+    quoteToken: { type: "string", minLength: 1 },
+    serviceId: objectId,
+    bookingDate: dateInput,
+    userEmail: { type: "string" },
+    ...placeFields,
+  },
+  ["quoteToken"]
+);
+
+const createBooking = [
+  verifyAuth,
+  rateLimit("bookings"),
+  idempotent,
+  validate({ body: bookingBody }),
+  authorize("booking:create"),
+];
+
+app.post("/bookings", createBooking, async (req, res) => {
+  try {
+    const tokenEmail = (req.user?.email || "").toLowerCase();
+    if (VERIFY_TOKEN && !tokenEmail) return res.status(401).json({ message: "Unauthorized" });
+
+    const signed = verifyToken(req.body.quoteToken);
+    if (!signed) return res.status(400).json({ message: "Invalid or expired quote", code: "invalid_quote" });
+
+    // serviceId/bookingDate are optional in the body, but must agree with the quote if sent
+    const { serviceId = signed.sid, bookingDate = signed.date } = req.body;
+    if (String(serviceId) !== signed.sid || new Date(bookingDate).getTime() !== new Date(signed.date).getTime()) {
+      return res.status(400).json({ message: "Quote does not match booking" });
+    }
+    const userEmail = VERIFY_TOKEN ? tokenEmail : (req.body.userEmail || "").toLowerCase();
+    if (signed.email !== userEmail) return res.status(403).json({ message: "Quote was issued to another user" });
+
+    const svc = await Service.findById(signed.sid);
+    if (!svc) return res.status(404).json({ message: "Service not found" });
+    if (svc.providerSuspended) return res.status(403).json({ message: "This provider is not taking bookings" });
+    if (VERIFY_TOKEN && svc.providerEmail === tokenEmail) {
+      return res.status(403).json({ message: "You cannot book your own service" });
+    }
+
+    const when = new Date(signed.date);
+    const address = await locationFrom(req.body, req.auth);
+    if (placeKey(address) !== (signed.place ?? null)) {
+      return res.status(400).json({ message: "Quote was issued for another address", code: "invalid_quote" });
+    }
+    const outside = await areaError(svc, address);
+    if (outside) return res.status(400).json({ message: outside });
+
+    // Scheduled services: the date must be an open slot start with a free seat
+    let slot = null;
+    if (hasSchedule(svc)) {
+      if (!isSlotOpen(svc.availability, when)) {
+        return res.status(409).json({ message: "Slot is not available" });
+      }
+      slot = await reserveSlot(svc, when);
+      if (!slot) return res.status(409).json({ message: "Slot is fully booked" });
+    }
+
+    // Coupon redemption is recorded against the booking id before the booking exists, then rolled back on failure
+    const bookingId = new mongoose.Types.ObjectId();
+    const { coupon, ...priceBreakdown } = signed.quote;
+    if (coupon && !(await redeemCoupon(coupon.couponId, userEmail, bookingId))) {
+      await releaseSlot(slot?._id);
+      return res.status(409).json({ message: "Coupon is no longer available" });
+    }
+
+    let b;
+    try {
+      b = await Booking.create({
+        _id: bookingId,
+        userEmail,
+        serviceId: svc._id,
+        bookingDate: when,
+        price: priceBreakdown.total,
+        priceBreakdown,
+        coupon,
+        slotId: slot?._id,
+        address: address || undefined,
+        status: "requested",
+        history: [{ from: null, to: "requested", by: userEmail }],
+        outbox: [outboxEntry("booking.created")],
+      });
+    } catch (err) {
+      await releaseSlot(slot?._id);
+      await releaseCoupon({ _id: bookingId, userEmail, coupon });
+      throw err;
+    }
+    await Service.updateOne({ _id: svc._id }, { $inc: { bookingCount: 1 } });
+    await bumpSuggestions(svc, SUGGEST_BOOKING_WEIGHT);
+    await publishBookingEvent("booking.created", b);
+    // the booking stands even if the gateway is down; the client can retry via POST /bookings/:id/payment
+    let payment = null;
+    try {
+      payment = await startPayment(b);
+    } catch (err) {
+      console.error("Payment intent failed:", err.message);
+    }
+    res.status(201).json({
+      ...b.toObject(),
+      paymentId: payment?._id,
+      paymentStatus: b.price > 0 ? "unpaid" : "paid",
+      payment: publicPayment(payment),
+    });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ message: "Already booked this date", code: "duplicate" });
+    sendError(res, e);
+  }
+});
+
+const ownListQuery = obj({ userEmail: { type: "string" }, ...listQuery });
+
+app.get("/bookings", verifyAuth, validate({ query: ownListQuery }), async (req, res) => {
+  try {
+    const queryEmail = (req.query.userEmail || "").toLowerCase();
+    // own bookings only; admins may look up anyone's
+    if (!devOpen(req.auth, "booking:read") && (!queryEmail || !can(req.auth, "booking:read", queryEmail))) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const page = await paginate(
+      Booking.find({ userEmail: queryEmail }).populate("serviceId", "name image providerName providerEmail price"),
+      NEWEST_FIRST,
+      { ...listParams(req.query), tag: "bookings" }
+    );
+    res.json(page);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// What cancelling now would refund/cost under the service's policy (shown before the customer confirms)
+const readBooking = authorize("booking:read", resources.booking);
+
+app.get("/bookings/:id/cancellation-preview", verifyAuth, withId, readBooking, async (req, res) => {
+  try {
+    const b = req.resource;
+    const cancellable = canTransition(b.status, "cancelled_by_customer");
+    res.json({ cancellable, status: b.status, ...(await cancellationFor(b)) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Customer cancel: the record is kept (status change) so history and analytics stay intact.
+// An admin cancelling someone else's booking here is recorded as an admin cancellation, under the same policy.
+const reasonBody = obj({ reason: { type: "string", maxLength: 500 } });
+const cancelBooking = [
+  verifyAuth,
+  validate({ params: idParams, body: reasonBody }),
+  authorize("booking:cancel", resources.booking),
+];
+
+app.delete("/bookings/:id", cancelBooking, async (req, res) => {
+  try {
+    const b = req.resource;
+    const byAdmin = isAdmin(req.auth) && req.auth.email !== b.userEmail;
+    const to = byAdmin ? "cancelled_by_admin" : "cancelled_by_customer";
+    if (!canTransition(b.status, to)) {
+      return res.status(409).json({ message: `Cannot cancel a ${b.status} booking` });
+    }
+    const { paid, ...cancellation } = await cancellationFor(b);
+    const updated = await transitionBooking(b, to, req.auth.email || b.userEmail, req.body?.reason, {
+      set: { cancellation },
+      refundAmount: cancellation.refundAmount,
+    });
+    if (!updated) return res.status(409).json({ message: "Booking changed, please retry" });
+    res.json({ cancelled: true, cancellation, booking: updated });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Provider-side lifecycle actions (owner of the booked service)
+const PROVIDER_BOOKING_ACTIONS = {
+  accept: "confirmed",
+  decline: "cancelled_by_provider",
+  cancel: "cancelled_by_provider",
+  start: "in_progress",
+  complete: "completed",
+  "no-show": "no_show",
+};
+
+const manageBooking = [
+  verifyAuth,
+  validate({
+    params: obj({ id: objectId, action: { type: "string", enum: Object.keys(PROVIDER_BOOKING_ACTIONS) } }, ["id", "action"]),
+    body: obj({ note: { type: "string", maxLength: 500 } }),
+  }),
+  authorize("booking:manage", resources.providerBooking),
+];
+
+app.post("/bookings/:id/:action(accept|decline|cancel|start|complete|no-show)", manageBooking, async (req, res) => {
+  try {
+    const b = req.resource;
+    const to = PROVIDER_BOOKING_ACTIONS[req.params.action];
+    if (!canTransition(b.status, to)) {
+      return res.status(409).json({ message: `Cannot move booking from ${b.status} to ${to}` });
+    }
+    // provider-side cancellations never penalise the customer
+    const opts = {};
+    if (to === "cancelled_by_provider") {
+      const { paid, ...cancellation } = computeCancellation(b, null);
+      opts.set = { cancellation: { ...cancellation, policyName: "Cancelled by provider" } };
+    }
+    const by = req.auth.email || (await providerOf(b.serviceId));
+    const updated = await transitionBooking(b, to, by, req.body?.note, opts);
+    if (!updated) return res.status(409).json({ message: "Booking changed, please retry" });
+    res.json(updated);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Comma-separated list of allowed values, e.g. ?status=requested,confirmed
+const csvOf = (values) => ({ type: "string", pattern: `^(${values.join("|")})(,(${values.join("|")}))*$` });
+const providerBookingsQuery = obj({
+  email: { type: "string", format: "email" },
+  status: csvOf(BOOKING_STATUSES),
+  settlementDue: { type: "boolean" },
+});
+
+// Incoming bookings for a provider's services, optionally filtered by status. ?settlementDue=true: past ones
+// still open because they weren't paid online (see autoCompleteBookings)
+app.get("/provider/bookings", verifyAuth, validate({ query: providerBookingsQuery }), async (req, res) => {
+  try {
+    // admins may pass ?email= to see another provider's queue
+    const email = String((isAdmin(req.auth) && req.query.email) || req.auth.email || "").toLowerCase();
+    if (!email) return res.status(400).json({ message: "email required" });
+    if (!can(req.auth, "provider:read", email)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const services = await Service.find({ providerEmail: email }).select("_id");
+    const q = { serviceId: { $in: services.map((s) => s._id) } };
+    if (req.query.status) q.status = { $in: req.query.status.split(",") };
+    if (req.query.settlementDue) {
+      q.settlementDueAt = { $ne: null };
+      q.status = { $in: ["confirmed", "in_progress"] };
+    }
+
+    const items = await Booking.find(q)
+      .sort({ bookingDate: 1 })
+      .populate("serviceId", "name image price");
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Own provider profile (admins may pass ?email=)
+const profileEmail = (req) => String((isAdmin(req.auth) && req.query.email) || req.auth.email || "").toLowerCase();
+
+const profileQuery = obj({ email: { type: "string", format: "email" } });
+const profileBody = obj({
+  name: { type: "string", minLength: 1, maxLength: 120 },
+  bio: { type: "string", maxLength: 2000 },
+  logo: { type: "string" },
+  phone: { type: "string", maxLength: 40 },
+  yearsExperience: { type: "integer", minimum: 0, maximum: 100 },
+});
+
+app.get("/provider/profile", verifyAuth, validate({ query: profileQuery }), async (req, res) => {
+  try {
+    const email = profileEmail(req);
+    if (!email) return res.status(400).json({ message: "email required" });
+    if (!can(req.auth, "provider:read", email)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    const provider = await Provider.findOne({ email });
+    if (!provider) return res.status(404).json({ message: "Provider not found" });
+    res.json(provider);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Creates the profile if the provider has no listings yet; a new name is pushed to every listing
+app.patch("/provider/profile", verifyAuth, validate({ query: profileQuery, body: profileBody }), async (req, res) => {
+  try {
+    const email = profileEmail(req);
+    if (!email) return res.status(400).json({ message: "email required" });
+    if (!can(req.auth, "provider:update", email)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const provider = await ensureProvider(email, req.body.name);
+    const renamed = "name" in req.body && String(req.body.name).trim() !== provider.name;
+    PROVIDER_FIELDS.forEach((k) => {
+      if (k in req.body) provider[k] = req.body[k];
+    });
+    if (renamed) provider.slug = await uniqueProviderSlug(provider.name, provider._id);
+    await provider.save();
+
+    const servicesRenamed = renamed ? await propagateProviderName(provider) : 0;
+    res.json({ ...provider.toObject(), servicesRenamed });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ message: "Slug taken, please retry", code: "duplicate" });
+    sendError(res, e);
+  }
+});
+
+// Reviews (one per completed/past booking; the same call edits it within the edit window)
+const reviewBody = obj(
+  { rating: { type: "integer", minimum: 1, maximum: 5 }, comment: { type: "string", maxLength: 2000 }, bookingId: objectId },
+  ["rating"]
+);
+
+const writeReview = [
+  verifyAuth,
+  rateLimit("reviews"),
+  validate({ params: idParams, body: reviewBody }),
+  authorize("review:write"),
+];
+
+app.post("/services/:id/reviews", writeReview, async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+    if (VERIFY_TOKEN && !userEmail) return res.status(401).json({ message: "Unauthorized" });
+
+    const { id } = req.params;
+    const { rating: stars, comment, bookingId } = req.body;
+    const svc = await Service.exists({ _id: id });
+    if (!svc) return res.status(404).json({ message: "Service not found" });
+
+    // without an explicit bookingId, review the most recent booking that qualifies and is still open:
+    // not reviewed yet, or its review still inside the edit window
+    const now = new Date();
+    const booked = bookingId
+      ? [await Booking.findOne({ _id: bookingId, userEmail, serviceId: id })].filter(Boolean)
+      : await Booking.find({ userEmail, serviceId: id }).sort({ bookingDate: -1 });
+    if (!booked.length) return res.status(403).json({ message: "Only booked users can review" });
+    const reviewable = booked.filter((x) => isReviewable(x, now));
+    if (!reviewable.length) return res.status(403).json({ message: "You can review once the booking has taken place" });
+
+    const existing = await Review.find({ bookingId: { $in: reviewable.map((x) => x._id) } });
+    const reviewOf = (x) => existing.find((r) => r.bookingId.equals(x._id));
+    const editable = (r) => now - r.createdAt <= REVIEW_EDIT_WINDOW_HOURS * HOUR;
+    const b = reviewable.find((x) => !reviewOf(x) || editable(reviewOf(x)));
+    if (!b) {
+      return res.status(403).json({ message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_HOURS} hours` });
+    }
+
+    let review = reviewOf(b);
+    if (review) {
+      const set = { rating: stars };
+      if (comment) set.comment = comment;
+      // compare-and-set on the old rating keeps the aggregates exact under concurrent edits
+      const updated = await Review.findOneAndUpdate({ _id: review._id, rating: review.rating }, set, {
+        new: true,
+        runValidators: true,
+      });
+      if (!updated) return res.status(409).json({ message: "Review is being updated, please retry" });
+      await applyRatingChange(id, { add: stars, remove: review.rating });
+      review = updated;
+    } else {
+      review = await Review.create({
+        serviceId: id,
+        bookingId: b._id,
+        userEmail,
+        rating: stars,
+        comment: comment || "",
+        verified: true,
+        outbox: [outboxEntry("booking.reviewed")],
+      });
+      await applyRatingChange(id, { add: stars });
+    }
+
+    const stats = await Service.findById(id).select("ratingAvg reviewCount");
+    res.status(201).json({ ok: true, ratingAvg: stats.ratingAvg, reviewCount: stats.reviewCount, review });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res.status(409).json({ message: "Review is being updated, please retry", code: "duplicate" });
+    }
+    sendError(res, e);
+  }
+});
+
+const reviewListQuery = obj({
+  sort: { type: "string", enum: Object.keys(REVIEW_SORTS), default: "newest" },
+  limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+  cursor: { type: "string" },
+});
+
+app.get("/services/:id/reviews", validate({ params: idParams, query: reviewListQuery }), async (req, res) => {
+  try {
+    const svc = await Service.findById(req.params.id).select("ratingAvg reviewCount ratingCounts");
+    if (!svc) return res.status(404).json({ message: "Service not found" });
+
+    const { sort, limit } = req.query;
+    const spec = REVIEW_SORTS[sort];
+    const { items, nextCursor } = await paginate(Review.find({ serviceId: svc._id, ...VISIBLE_REVIEWS }), spec, {
+      cursor: req.query.cursor,
+      limit,
+      tag: sort,
+    });
+    res.json({
+      items,
+      nextCursor,
+      ratingAvg: svc.ratingAvg,
+      reviewCount: svc.reviewCount || 0,
+      histogram: ratingHistogram(svc),
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Author (or an admin) removes a review
+app.delete("/reviews/:id", verifyAuth, withId, authorize("review:delete", resources.review), async (req, res) => {
+  try {
+    const review = req.resource;
+
+    // only the request that actually deleted it adjusts the aggregates
+    const removed = await Review.findOneAndDelete({ _id: review._id });
+    if (removed) {
+      // flagged reviews were already taken out of the aggregates
+      if (removed.status !== "flagged") await applyRatingChange(removed.serviceId, { remove: removed.rating });
+      await ReviewVote.deleteMany({ reviewId: removed._id });
+    }
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// One provider reply per review; PUT replaces it
+const replyToReview = authorize("review:reply", resources.providerReview);
+const replyBody = obj({ text: { type: "string", minLength: 1, maxLength: 2000 } }, ["text"]);
+
+const writeReply = [verifyAuth, rateLimit("reviews"), validate({ params: idParams, body: replyBody }), replyToReview];
+
+app.put("/reviews/:id/reply", writeReply, async (req, res) => {
+  try {
+    const text = req.body.text.trim();
+    if (!text) return res.status(400).json({ message: "text required" });
+
+    const review = req.resource;
+    review.reply = { text, by: req.auth.email || (await providerOf(review.serviceId)), at: new Date() };
+    await review.save();
+    res.json(review);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/reviews/:id/reply", verifyAuth, withId, replyToReview, async (req, res) => {
+  try {
+    const review = req.resource;
+    review.reply = undefined;
+    await review.save();
+    res.json(review);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Helpful votes: one per user, never on your own review; the vote doc's unique index makes it idempotent
+const voteOnReview = [rateLimit("reviews"), authorize("review:vote")];
+
+app.post("/reviews/:id/helpful", verifyAuth, withId, voteOnReview, async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+    if (!userEmail) return res.status(400).json({ message: "userEmail required" });
+
+    const review = await Review.findById(req.params.id).select("userEmail helpfulCount");
+    if (!review) return res.status(404).json({ message: "Review not found" });
+    if (review.userEmail === userEmail) return res.status(403).json({ message: "You cannot vote on your own review" });
+
+    try {
+      await ReviewVote.create({ reviewId: review._id, userEmail });
+    } catch (err) {
+      if (err.code === 11000) return res.json({ ok: true, note: "already", helpfulCount: review.helpfulCount });
+      throw err;
+    }
+    const updated = await Review.findByIdAndUpdate(review._id, { $inc: { helpfulCount: 1 } }, { new: true });
+    res.status(201).json({ ok: true, helpfulCount: updated.helpfulCount });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/reviews/:id/helpful", verifyAuth, withId, voteOnReview, async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+    const vote = await ReviewVote.findOneAndDelete({ reviewId: req.params.id, userEmail });
+    if (!vote) return res.status(404).json({ message: "Vote not found" });
+    const updated = await Review.findOneAndUpdate(
+      { _id: req.params.id, helpfulCount: { $gt: 0 } },
+      { $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+    res.json({ ok: true, helpfulCount: updated?.helpfulCount ?? 0 });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Saved addresses
+app.get("/addresses", verifyAuth, async (req, res) => {
+  try {
+    if (VERIFY_TOKEN && !req.auth.email) return res.status(401).json({ message: "Unauthorized" });
+    const items = await Address.find({ userEmail: req.auth.email }).sort({ createdAt: -1 });
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const addressBody = obj(
+  {
+    label: { type: "string", maxLength: 60 },
+    line: { type: "string", maxLength: 300 },
+    lat: { type: "number", minimum: -90, maximum: 90 },
+    lng: { type: "number", minimum: -180, maximum: 180 },
+  },
+  ["lat", "lng"]
+);
+
+app.post("/addresses", verifyAuth, validate({ body: addressBody }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+    if (!userEmail) return res.status(VERIFY_TOKEN ? 401 : 400).json({ message: "userEmail required" });
+    const doc = await Address.create({
+      userEmail,
+      label: req.body.label,
+      line: req.body.line,
+      location: parsePoint(req.body.lat, req.body.lng),
+    });
+    res.status(201).json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/addresses/:id", verifyAuth, withId, authorize("address:delete", resources.address), async (req, res) => {
+  try {
+    await Address.findByIdAndDelete(req.resource._id);
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Favorites
+const favoriteBody = obj({ serviceId: objectId, userEmail: { type: "string" } }, ["serviceId"]);
+
+app.post("/favorites", verifyAuth, idempotent, validate({ body: favoriteBody }), async (req, res) => {
+  try {
+    const tokenEmail = (req.user?.email || "").toLowerCase();
+    const userEmail = VERIFY_TOKEN ? tokenEmail : (req.body.userEmail || "").toLowerCase();
+    const { serviceId } = req.body;
+
+    const fav = await Favorite.findOneAndUpdate(
+      { userEmail, serviceId },
+      { $setOnInsert: { userEmail, serviceId } },
+      { upsert: true, new: true }
+    );
+    res.status(201).json(fav);
+  } catch (e) {
+    if (e.code === 11000) return res.status(200).json({ ok: true, note: "already" });
+    sendError(res, e);
+  }
+});
+
+app.get("/favorites", verifyAuth, validate({ query: ownListQuery }), async (req, res) => {
+  try {
+    const tokenEmail = (req.user?.email || "").toLowerCase();
+    const userEmail = VERIFY_TOKEN ? tokenEmail : (req.query.userEmail || "").toLowerCase();
+    const page = await paginate(Favorite.find({ userEmail }).populate("serviceId"), NEWEST_FIRST, {
+      ...listParams(req.query),
+      tag: "favorites",
+    });
+    res.json(page);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/favorites/:id", verifyAuth, withId, authorize("favorite:delete", resources.favorite), async (req, res) => {
+  try {
+    await Favorite.findByIdAndDelete(req.resource._id);
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Uploads ----------------
+// multipart/form-data, field "images" (up to 10). Returns Upload docs whose ids go into a service's gallery;
+// uploads that never make it into one are removed by the upload-gc job.
+// `multipart` marks the body as form data; the files themselves are checked by receiveImages/storeImage
+const uploadBody = obj({
+  images: { type: "array", items: { type: "string", format: "binary" }, maxItems: UPLOAD_MAX_FILES },
+  providerEmail: { type: "string", format: "email" },
+});
+
+const uploadImages = [
+  verifyAuth,
+  rateLimit("listings"),
+  authorize("upload:create"),
+  receiveImages,
+  validate({ body: uploadBody, multipart: true }),
+];
+
+app.post("/uploads", uploadImages, async (req, res) => {
+  try {
+    const onBehalf = isAdmin(req.auth) && req.body.providerEmail;
+    const owner = String(onBehalf ? req.body.providerEmail : req.auth.email || "").toLowerCase();
+    if (!owner) return res.status(400).json({ message: "Missing uploader email" });
+    if (!req.files?.length) return res.status(400).json({ message: 'No images in field "images"' });
+
+    const items = [];
+    for (const file of req.files) items.push(await storeImage(file, owner));
+    res.status(201).json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/uploads/:id", verifyAuth, withId, authorize("upload:delete", resources.upload), async (req, res) => {
+  try {
+    if (!(await removeUpload(req.resource))) {
+      return res.status(409).json({ message: "Upload is in a service gallery; remove it from there first" });
+    }
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Cancellation Policies ----------------
+// Owner edits their own policies; presets (no providerEmail) belong to admins
+
+const tiersBody = {
+  type: "array",
+  minItems: 1,
+  items: obj(
+    {
+      minHoursBefore: { type: "number", minimum: 0 },
+      refundPct: { type: "number", minimum: 0, maximum: 100 },
+      feeFlat: { type: "number", minimum: 0 },
+    },
+    ["minHoursBefore", "refundPct"]
+  ),
+};
+const policyName = { type: "string", minLength: 1, maxLength: 80 };
+const createPolicyBody = obj({ name: policyName, tiers: tiersBody, providerEmail: { type: "string", format: "email" } }, [
+  "name",
+  "tiers",
+]);
+
+app.get("/cancellation-policies", validate({ query: obj({ providerEmail: { type: "string" } }) }), async (req, res) => {
+  try {
+    const email = (req.query.providerEmail || "").toLowerCase();
+    const owners = [{ providerEmail: null }];
+    if (email) owners.push({ providerEmail: email });
+    const items = await CancellationPolicy.find({ $or: owners }).sort({ providerEmail: 1, name: 1 });
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/cancellation-policies/:id", withId, async (req, res) => {
+  try {
+    const doc = await CancellationPolicy.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: "Policy not found" });
+    res.json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const createPolicy = [verifyAuth, validate({ body: createPolicyBody }), authorize("policy:create")];
+
+app.post("/cancellation-policies", createPolicy, async (req, res) => {
+  try {
+    // admins may create one on a provider's behalf
+    const providerEmail = String((isAdmin(req.auth) && req.body.providerEmail) || req.auth.email || "").toLowerCase();
+    if (!providerEmail) return res.status(400).json({ message: "providerEmail required" });
+    const doc = await CancellationPolicy.create({
+      name: req.body.name,
+      providerEmail,
+      tiers: normalizeTiers(req.body.tiers),
+    });
+    res.status(201).json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const presetPolicyBody = obj({ name: policyName, tiers: tiersBody }, ["name", "tiers"]);
+
+const createPreset = [validate({ body: presetPolicyBody }), authorize("policy:preset")];
+
+adminRouter.post("/cancellation-policies", createPreset, async (req, res) => {
+  try {
+    const doc = await CancellationPolicy.create({ name: req.body.name, tiers: normalizeTiers(req.body.tiers) });
+    res.status(201).json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const updatePolicy = [
+  verifyAuth,
+  validate({ params: idParams, body: obj({ name: policyName, tiers: tiersBody }) }),
+  authorize("policy:update", resources.policy),
+];
+
+app.patch("/cancellation-policies/:id", updatePolicy, async (req, res) => {
+  try {
+    const doc = req.resource;
+    if ("name" in req.body) doc.name = req.body.name;
+    if ("tiers" in req.body) doc.tiers = normalizeTiers(req.body.tiers);
+    await doc.save();
+    res.json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const deletePolicy = [verifyAuth, withId, authorize("policy:delete", resources.policy)];
+
+app.delete("/cancellation-policies/:id", deletePolicy, async (req, res) => {
+  try {
+    const doc = req.resource;
+    await CancellationPolicy.findByIdAndDelete(doc._id);
+    // services on this policy fall back to full refunds
+    await Service.updateMany({ cancellationPolicyId: doc._id }, { $unset: { cancellationPolicyId: 1 } });
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Payments ----------------
+app.get("/bookings/:id/payment", verifyAuth, withId, readBooking, async (req, res) => {
+  try {
+    const b = req.resource;
+
+    const [payment, refunds] = await Promise.all([
+      b.paymentId ? Payment.findById(b.paymentId) : null,
+      Refund.find({ bookingId: b._id }).sort({ createdAt: -1 }),
+    ]);
+    res.json({ paymentStatus: b.paymentStatus, payment: publicPayment(payment), refunds });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// New intent for an unpaid/failed booking (e.g. after a declined card)
+app.post("/bookings/:id/payment", verifyAuth, withId, authorize("booking:pay", resources.booking), async (req, res) => {
+  try {
+    const b = req.resource;
+    if (!ACTIVE_BOOKING_STATUSES.includes(b.status)) {
+      return res.status(409).json({ message: `Cannot pay for a ${b.status} booking` });
+    }
+    if (!["unpaid", "failed"].includes(b.paymentStatus)) {
+      return res.status(409).json({ message: `Booking is already ${b.paymentStatus}` });
+    }
+
+    const existing = b.paymentId && (await Payment.findOne({ _id: b.paymentId, status: "pending" }));
+    const payment = existing || (await startPayment(b));
+    res.status(existing ? 200 : 201).json({ payment: publicPayment(payment) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Gateway callbacks: body must be signed with PAYMENT_WEBHOOK_SECRET (see signWebhook)
+app.post("/payments/webhook", async (req, res) => {
+  try {
+    if (!req.rawBody) return res.status(400).json({ message: "Missing body" });
+    const result = await handleWebhook(req.rawBody, req.headers["x-signature"]);
+    if (!result) return res.status(400).json({ message: "Invalid signature" });
+    res.json({ received: true, ...result });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Local stand-in for the gateway's hosted checkout: emits a signed webhook for the intent
+const mockPayment = validate({
+  params: obj({ ref: { type: "string", maxLength: 100 }, outcome: { type: "string", enum: ["succeed", "fail"] } }, [
+    "ref",
+    "outcome",
+  ]),
+  body: obj({ reason: { type: "string", maxLength: 100 } }),
+});
+
+app.post("/payments/mock/:ref/:outcome(succeed|fail)", mockPayment, async (req, res) => {
+  try {
+    if (PAYMENT_GATEWAY !== "mock") return res.status(404).json({ message: "Not found" });
+    const p = await Payment.findOne({ gateway: "mock", ref: req.params.ref });
+    if (!p) return res.status(404).json({ message: "Payment not found" });
+
+    const succeeded = req.params.outcome === "succeed";
+    const event = {
+      id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+      gateway: "mock",
+      type: succeeded ? "payment.succeeded" : "payment.failed",
+      data: { ref: p.ref, amount: p.amount, reason: succeeded ? undefined : req.body?.reason || "card_declined" },
+    };
+    const raw = JSON.stringify(event);
+    const signature = signWebhook(raw);
+    const result = await handleWebhook(Buffer.from(raw), signature);
+    res.json({ event, signature, ...result });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Messages ----------------
+const MAX_ATTACHMENTS = 5;
+
+async function bumpUnread(bookingId, email) {
+  try {
+    await ThreadMember.updateOne({ bookingId, email }, { $inc: { unread: 1 } }, { upsert: true });
+  } catch (e) {
+    if (e.code !== 11000) throw e;
+    await ThreadMember.updateOne({ bookingId, email }, { $inc: { unread: 1 } });
+  }
+}
+
+// Moves `email`'s read position up to `message` (never backwards) and recounts what's still unread
+async function markThreadRead(bookingId, email, message) {
+  const unread = await Message.countDocuments({ bookingId, _id: { $gt: message._id }, senderEmail: { $ne: email } });
+  const behind = { $or: [{ lastReadMessageId: null }, { lastReadMessageId: { $lt: message._id } }] };
+  try {
+    await ThreadMember.updateOne(
+      { bookingId, email, ...behind },
+      { $set: { lastReadMessageId: message._id, lastReadAt: new Date(), unread } },
+      { upsert: true }
+    );
+  } catch (e) {
+    if (e.code !== 11000) throw e; // already read further than this
+  }
+  return ThreadMember.findOne({ bookingId, email });
+}
+
+const readThread = authorize("message:read", resources.thread);
+const messageBody = obj({
+  text: { type: "string", maxLength: 5000 },
+  attachments: { type: "array", maxItems: MAX_ATTACHMENTS, items: { type: "string", pattern: "^https?://" } },
+});
+
+const threadQuery = validate({ params: idParams, query: obj(listQuery) });
+
+// Newest first; page back with nextCursor
+app.get("/bookings/:id/messages", verifyAuth, threadQuery, readThread, async (req, res) => {
+  try {
+    const page = await paginate(Message.find({ bookingId: req.resource._id }), NEWEST_FIRST, {
+      ...listParams(req.query),
+      tag: "messages",
+    });
+    res.json(page);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const sendMessage = [
+  verifyAuth,
+  rateLimit("messages"),
+  validate({ params: idParams, body: messageBody }),
+  authorize("message:send", resources.thread),
+];
+
+app.post("/bookings/:id/messages", sendMessage, async (req, res) => {
+  try {
+    const b = req.resource;
+    const senderEmail = req.auth.email;
+    if (!senderEmail) return res.status(400).json({ message: "userEmail required" });
+
+    const text = (req.body.text || "").trim();
+    const attachments = req.body.attachments || [];
+    if (!text && !attachments.length) return res.status(400).json({ message: "text or attachments required" });
+
+    const providerEmail = await providerOf(b.serviceId);
+    const senderRole = senderEmail === b.userEmail ? "customer" : senderEmail === providerEmail ? "provider" : "admin";
+    const msg = await Message.create({ bookingId: b._id, senderEmail, senderRole, text, attachments });
+
+    for (const email of new Set([b.userEmail, providerEmail])) {
+      if (email && email !== senderEmail) await bumpUnread(b._id, email);
+    }
+    await markThreadRead(b._id, senderEmail, msg);
+    await publishEvent("message.created", [b.userEmail, providerEmail], {
+      bookingId: b._id,
+      messageId: msg._id,
+      senderEmail,
+      senderRole,
+      text: msg.text,
+      attachments: msg.attachments,
+    });
+    res.status(201).json(msg);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Read receipts: where each participant has read up to
+app.get("/bookings/:id/messages/read", verifyAuth, withId, readThread, async (req, res) => {
+  try {
+    const items = await ThreadMember.find({ bookingId: req.resource._id }).select(
+      "email lastReadMessageId lastReadAt -_id"
+    );
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Mark read up to ?messageId= / body.messageId, or the newest message
+const markRead = validate({
+  params: idParams,
+  query: obj({ messageId: objectId }),
+  body: obj({ messageId: objectId }),
+});
+
+app.post("/bookings/:id/messages/read", verifyAuth, markRead, readThread, async (req, res) => {
+  try {
+    const email = req.auth.email;
+    if (!email) return res.status(400).json({ message: "userEmail required" });
+    const upTo = req.body?.messageId || req.query.messageId;
+    const message = upTo
+      ? await Message.findOne({ _id: upTo, bookingId: req.resource._id })
+      : await Message.findOne({ bookingId: req.resource._id }).sort({ _id: -1 });
+    if (!message && upTo) return res.status(404).json({ message: "Message not found" });
+    if (!message) return res.json({ unread: 0 }); // empty thread
+
+    const member = await markThreadRead(req.resource._id, email, message);
+    res.json({ lastReadMessageId: member.lastReadMessageId, lastReadAt: member.lastReadAt, unread: member.unread });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Unread messages across all of the caller's threads
+app.get("/messages/unread", verifyAuth, async (req, res) => {
+  try {
+    const email = req.auth.email;
+    if (!email) return res.status(400).json({ message: "userEmail required" });
+    const threads = await ThreadMember.find({ email, unread: { $gt: 0 } })
+      .sort({ updatedAt: -1 })
+      .select("bookingId unread -_id");
+    res.json({ total: threads.reduce((a, t) => a + t.unread, 0), threads });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Event Stream (SSE) ----------------
+// Each connection polls the event log and closes after SSE_MAX_SECONDS (serverless time limits); the
+// browser's EventSource reconnects with Last-Event-ID and carries on. serverless-http hands Vercel the whole
+// response at once, so there a stream would only deliver when its window closes: it isn't served (or listed in
+// the OpenAPI document) on Vercel unless SSE_ENABLED=true, and clients poll GET /events/poll instead.
+const SSE_ENABLED = String(process.env.SSE_ENABLED ?? !process.env.VERCEL) === "true";
+const SSE_MAX_SECONDS = Number(process.env.SSE_MAX_SECONDS || 25);
+const SSE_POLL_MS = 1000;
+const SSE_HEARTBEAT_MS = 15000;
+const EVENTS_BATCH = 100;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const eventsAfter = (email, seq, limit = EVENTS_BATCH) =>
+  Event.find({ audience: email, seq: { $gt: seq } })
+    .sort({ seq: 1 })
+    .limit(limit);
+
+// EventSource can't send headers, so browsers open the stream with ?ticket= from POST /events/ticket. A ticket
+// only opens the stream (it has its own signing key) and expires after EVENTS_TICKET_TTL_MIN; the URL it's in
+// is logged by proxies. Past that, EventSource can't reconnect and the client asks for a new ticket.
+const EVENTS_TICKET_TTL_MIN = Number(process.env.EVENTS_TICKET_TTL_MIN || 10);
+const EVENTS_TICKET_KEY = crypto.createHmac("sha256", QUOTE_SECRET).update("events-ticket").digest();
+
+// The stream needs only the caller's email: a ticket carries it, otherwise the usual Authorization header
+function streamAuth(req, res, next) {
+  if (req.query.ticket == null) return verifyAuth(req, res, next);
+  const ticket = verifyToken(req.query.ticket, EVENTS_TICKET_KEY);
+  if (!ticket) return res.status(401).json({ message: "Invalid or expired ticket", code: "invalid_ticket" });
+  req.auth = { email: ticket.email, roles: [] };
+  next();
+}
+
+const eventsQuery = obj({ ticket: { type: "string" }, lastEventId: { type: "integer", minimum: 0 } });
+
+if (SSE_ENABLED) {
+  app.post("/events/ticket", verifyAuth, (req, res) => {
+    const email = req.auth.email;
+    if (!email) return res.status(VERIFY_TOKEN ? 401 : 400).json({ message: "userEmail required" });
+    const exp = Date.now() + EVENTS_TICKET_TTL_MIN * 60 * 1000;
+    res.json({ ticket: signToken({ email, exp }, EVENTS_TICKET_KEY), expiresAt: new Date(exp) });
+  });
+
+  app.get("/events", validate({ query: eventsQuery }), streamAuth, async (req, res) => {
+    const email = req.auth.email;
+    if (!email) return res.status(VERIFY_TOKEN ? 401 : 400).json({ message: "userEmail required" });
+
+    let last;
+    try {
+      const resume = req.headers["last-event-id"] ?? req.query.lastEventId;
+      if (resume != null && resume !== "") {
+        last = Number(resume);
+        if (!Number.isInteger(last) || last < 0) return res.status(400).json({ message: "Invalid Last-Event-ID" });
+      } else {
+        // fresh subscription: start after whatever is already there
+        last = await newestEventSeq();
+      }
+    } catch (e) {
+      return sendError(res, e);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${SSE_POLL_MS * 2}\n\n`);
+
+    let open = true;
+    res.on("close", () => (open = false));
+    const until = Date.now() + SSE_MAX_SECONDS * 1000;
+    let quietSince = Date.now();
+    try {
+      while (open && Date.now() < until) {
+        const events = await eventsAfter(email, last);
+        for (const e of events) {
+          res.write(`id: ${e.seq}\nevent: ${e.type}\ndata: ${JSON.stringify({ ...e.data, at: e.at })}\n\n`);
+          last = e.seq;
+        }
+        if (events.length) quietSince = Date.now();
+        else if (Date.now() - quietSince > SSE_HEARTBEAT_MS) {
+          res.write(": ping\n\n");
+          quietSince = Date.now();
+        }
+        if (events.length < EVENTS_BATCH) await sleep(SSE_POLL_MS);
+      }
+    } catch (e) {
+      console.error("Event stream error:", e.message);
+    }
+    res.end();
+  });
+}
+
+// The same events as JSON, for polling where streaming isn't available. Without ?after= it returns none, just
+// the id to poll after (like a fresh stream); then pass each response's lastEventId as the next ?after=.
+const eventsPollQuery = obj({
+  after: { type: "integer", minimum: 0 },
+  limit: { type: "integer", minimum: 1, maximum: EVENTS_BATCH, default: EVENTS_BATCH },
+});
+
+app.get("/events/poll", verifyAuth, validate({ query: eventsPollQuery }), async (req, res) => {
+  try {
+    const email = req.auth.email;
+    if (!email) return res.status(VERIFY_TOKEN ? 401 : 400).json({ message: "userEmail required" });
+    const { after, limit } = req.query;
+    if (after == null) return res.json({ items: [], lastEventId: await newestEventSeq() });
+
+    const events = await eventsAfter(email, after, limit);
+    const items = events.map((e) => ({ id: e.seq, type: e.type, data: e.data, at: e.at }));
+    res.json({ items, lastEventId: items.at(-1)?.id ?? after });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Admin: Coupons ----------------
+const manageCoupons = authorize("coupon:manage");
+
+const couponFields = {
+  code: { type: "string", minLength: 1, maxLength: 40 },
+  type: { type: "string", enum: ["percent", "fixed"] },
+  value: { type: "number", minimum: 0 },
+  maxDiscount: { type: "number", minimum: 0 },
+  minOrder: { type: "number", minimum: 0 },
+  categories: { type: "array", items: { type: "string" } },
+  providerEmails: { type: "array", items: { type: "string", format: "email" } },
+  startsAt: dateInput,
+  endsAt: dateInput,
+  maxRedemptions: { type: "integer", minimum: 1 },
+  perUserLimit: { type: "integer", minimum: 1 },
+  active: { type: "boolean" },
+};
+
+const couponListQuery = obj({ active: { type: "boolean" } });
+
+adminRouter.get("/coupons", validate({ query: couponListQuery }), manageCoupons, async (req, res) => {
+  try {
+    const q = {};
+    if (req.query.active != null) q.active = req.query.active;
+    const items = await Coupon.find(q).sort({ createdAt: -1 });
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+adminRouter.get("/coupons/:id", withId, manageCoupons, async (req, res) => {
+  try {
+    const doc = await Coupon.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: "Coupon not found" });
+    res.json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const createCouponBody = obj(couponFields, ["code", "type", "value"]);
+
+adminRouter.post("/coupons", validate({ body: createCouponBody }), manageCoupons, async (req, res) => {
+  try {
+    const data = pickCouponFields(req.body);
+    if (data.type === "percent" && Number(data.value) > 100) {
+      return res.status(400).json({ message: "Percent value must be <= 100" });
+    }
+    const doc = await Coupon.create(data);
+    res.status(201).json(doc);
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ message: "Coupon code already exists", code: "duplicate" });
+    sendError(res, e);
+  }
+});
+
+const updateCoupon = validate({ params: idParams, body: obj(couponFields) });
+
+adminRouter.patch("/coupons/:id", updateCoupon, manageCoupons, async (req, res) => {
+  try {
+    const doc = await Coupon.findById(req.params.id);
+    if (!doc) return res.status(404).json({ message: "Coupon not found" });
+    const updates = pickCouponFields(req.body);
+    const type = updates.type || doc.type;
+    const value = updates.value ?? doc.value;
+    if (type === "percent" && Number(value) > 100) {
+      return res.status(400).json({ message: "Percent value must be <= 100" });
+    }
+    const updated = await Coupon.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    res.json(updated);
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ message: "Coupon code already exists", code: "duplicate" });
+    sendError(res, e);
+  }
+});
+
+adminRouter.delete("/coupons/:id", withId, manageCoupons, async (req, res) => {
+  try {
+    const doc = await Coupon.findByIdAndDelete(req.params.id);
+    if (!doc) return res.status(404).json({ message: "Coupon not found" });
+    // bookings keep their own code/discount snapshot
+    await CouponRedemption.deleteMany({ couponId: doc._id });
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Roles ----------------
+// Who the caller is and what they may do (for the client to show/hide controls)
+app.get("/me", verifyAuth, (req, res) => {
+  const { email, roles } = req.auth;
+  const permissions = [...new Set(roles.flatMap((r) => ROLE_PERMISSIONS[r] || []))];
+  res.json({ email, roles, permissions });
+});
+
+// ---------------- Notification Preferences ----------------
+app.get("/me/notifications/preferences", verifyAuth, async (req, res) => {
+  try {
+    const prefs = await NotificationPreference.findOne({ email: req.auth.email });
+    res.json({ email: req.auth.email, optOut: prefs?.optOut || [], events: NOTIFICATION_TYPES });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const preferencesBody = obj(
+  { optOut: { type: "array", items: { type: "string", enum: ["*", ...NOTIFICATION_TYPES] } } },
+  ["optOut"]
+);
+
+// Body: { optOut: ["booking.reviewed", ...] } or ["*"] to mute everything
+app.put("/me/notifications/preferences", verifyAuth, validate({ body: preferencesBody }), async (req, res) => {
+  try {
+    const optOut = [...new Set(req.body.optOut)];
+    const doc = await NotificationPreference.findOneAndUpdate(
+      { email: req.auth.email },
+      { email: req.auth.email, optOut },
+      { upsert: true, new: true }
+    );
+    res.json({ email: doc.email, optOut: doc.optOut, events: NOTIFICATION_TYPES });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res.status(409).json({ message: "Preferences are being saved, please retry", code: "duplicate" });
+    }
+    sendError(res, e);
+  }
+});
+
+const manageRoles = authorize("role:manage");
+
+adminRouter.get("/roles", manageRoles, async (req, res) => {
+  try {
+    const items = await UserRole.find().sort({ email: 1 });
+    res.json({ items, adminEmails: ADMIN_EMAILS, defaultRoles: DEFAULT_ROLES });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const emailParams = obj({ email: { type: "string", format: "email" } }, ["email"]);
+const rolesBody = obj({ roles: { type: "array", minItems: 1, items: { type: "string", enum: ROLES } } }, ["roles"]);
+
+// Stored roles apply to users without role claims; mirrored into Firebase claims when it's configured
+adminRouter.put("/roles/:email", validate({ params: emailParams, body: rolesBody }), manageRoles, async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+    const roles = [...new Set(req.body.roles)];
+
+    const doc = await UserRole.findOneAndUpdate({ email }, { email, roles }, { upsert: true, new: true, runValidators: true });
+    let claimsSynced = false;
+    if (admin.apps.length) {
+      try {
+        const user = await admin.auth().getUserByEmail(email);
+        await admin.auth().setCustomUserClaims(user.uid, { ...(user.customClaims || {}), roles });
+        claimsSynced = true;
+      } catch (err) {
+        if (err.code !== "auth/user-not-found") throw err;
+      }
+    }
+    res.json({ ...doc.toObject(), claimsSynced });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+adminRouter.delete("/roles/:email", validate({ params: emailParams }), manageRoles, async (req, res) => {
+  try {
+    const doc = await UserRole.findOneAndDelete({ email: req.params.email.toLowerCase() });
+    if (!doc) return res.status(404).json({ message: "No stored roles for this user" });
+    res.json({ deleted: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- Admin Back-office ----------------
+// Platform totals for [from, to); defaults to the last 30 days
+adminRouter.get("/metrics", validate({ query: obj({ from: dateInput, to: dateInput }) }), async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY);
+    if (to <= from) return res.status(400).json({ message: "to must be after from" });
+    if (to - from > 366 * DAY) return res.status(400).json({ message: "Range too large (max 366 days)" });
+
+    const createdAt = { $gte: from, $lt: to };
+    // GMV = value of bookings placed in the window that weren't cancelled
+    const placed = { createdAt, status: { $nin: CANCELLED_BOOKING_STATUSES } };
+    const [perDay, newServices, bookedServiceIds, suspendedProviders] = await Promise.all([
+      Booking.aggregate([
+        { $match: { createdAt } },
+        {
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+            bookings: { $sum: 1 },
+            cancelled: { $sum: { $cond: [{ $in: ["$status", CANCELLED_BOOKING_STATUSES] }, 1, 0] } },
+            gmv: { $sum: { $cond: [{ $in: ["$status", CANCELLED_BOOKING_STATUSES] }, 0, "$price"] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      Service.countDocuments({ createdAt }),
+      Booking.distinct("serviceId", placed),
+      ProviderSuspension.countDocuments(),
+    ]);
+    const activeProviders = (await Service.distinct("providerEmail", { _id: { $in: bookedServiceIds } })).length;
+
+    const bookingsPerDay = perDay.map((d) => ({ day: d._id, bookings: d.bookings, cancelled: d.cancelled, gmv: money(d.gmv) }));
+    res.json({
+      from,
+      to,
+      currency: CURRENCY,
+      gmv: money(bookingsPerDay.reduce((a, d) => a + d.gmv, 0)),
+      bookings: bookingsPerDay.reduce((a, d) => a + d.bookings, 0),
+      bookingsPerDay,
+      newServices,
+      activeProviders,
+      suspendedProviders,
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Users have no collection of their own: they are the emails seen on bookings, services and stored roles
+async function searchUsers(rx, limit) {
+  const [customers, providers, stored, suspended] = await Promise.all([
+    Booking.aggregate([
+      { $match: { userEmail: rx } },
+      { $group: { _id: "$userEmail", bookings: { $sum: 1 } } },
+      { $sort: { bookings: -1 } },
+      { $limit: limit },
+    ]),
+    Service.aggregate([
+      { $match: { $or: [{ providerEmail: rx }, { providerName: rx }] } },
+      { $group: { _id: "$providerEmail", name: { $first: "$providerName" }, services: { $sum: 1 } } },
+      { $sort: { services: -1 } },
+      { $limit: limit },
+    ]),
+    UserRole.find({ email: rx }).limit(limit),
+    ProviderSuspension.find({ email: rx }).limit(limit),
+  ]);
+
+  const users = new Map();
+  const get = (email) => {
+    if (!users.has(email)) users.set(email, { email, bookings: 0, services: 0, roles: null, suspended: false });
+    return users.get(email);
+  };
+  customers.forEach((c) => (get(c._id).bookings = c.bookings));
+  providers.forEach((p) => Object.assign(get(p._id), { name: p.name, services: p.services }));
+  stored.forEach((r) => (get(r.email).roles = r.roles));
+  suspended.forEach((s) => (get(s.email).suspended = true));
+  return [...users.values()].slice(0, limit);
+}
+
+const ADMIN_SEARCH_TYPES = ["users", "services", "bookings"];
+
+// ?q= matched case-insensitively; an ObjectId also matches documents by id
+const adminSearchQuery = obj(
+  {
+    q: { type: "string", minLength: 1, maxLength: 200 },
+    type: csvOf(ADMIN_SEARCH_TYPES),
+    limit: { type: "integer", minimum: 1, maximum: 50, default: 10 },
+  },
+  ["q"]
+);
+
+adminRouter.get("/search", validate({ query: adminSearchQuery }), async (req, res) => {
+  try {
+    const q = req.query.q.trim();
+    if (!q) return res.status(400).json({ message: "q required" });
+    const types = req.query.type ? req.query.type.split(",") : ADMIN_SEARCH_TYPES;
+    const { limit } = req.query;
+    const rx = new RegExp(escapeRegex(q), "i");
+    const id = mongoose.isValidObjectId(q) ? new mongoose.Types.ObjectId(q) : null;
+
+    const out = {};
+    await Promise.all(
+      types.map(async (t) => {
+        if (t === "users") out.users = await searchUsers(rx, limit);
+        if (t === "services") {
+          const or = [{ name: rx }, { slug: rx }, { category: rx }, { providerEmail: rx }, { providerName: rx }];
+          if (id) or.push({ _id: id });
+          out.services = await Service.find({ $or: or }).sort({ createdAt: -1 }).limit(limit);
+        }
+        if (t === "bookings") {
+          const or = [{ userEmail: rx }, { "coupon.code": rx }];
+          if (id) or.push({ _id: id }, { serviceId: id }, { paymentId: id });
+          out.bookings = await Booking.find({ $or: or })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate("serviceId", "name providerEmail");
+        }
+      })
+    );
+    res.json(out);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+adminRouter.get("/providers/suspended", async (req, res) => {
+  try {
+    const items = await ProviderSuspension.find().sort({ createdAt: -1 });
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Suspending hides every service of the provider (current and future) from public listings
+adminRouter.post("/providers/:email/suspend", validate({ params: emailParams, body: reasonBody }), async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+    const doc = await ProviderSuspension.findOneAndUpdate(
+      { email },
+      { $setOnInsert: { email, reason: req.body.reason, by: req.auth.email } },
+      { upsert: true, new: true }
+    );
+    const r = await Service.updateMany({ providerEmail: email }, { $set: { providerSuspended: true } });
+    await refreshProviderSuggestions(email);
+    res.json({ suspended: true, suspension: doc, servicesHidden: r.modifiedCount });
+  } catch (e) {
+    if (e.code === 11000) return res.status(409).json({ message: "Provider is being suspended, please retry" });
+    sendError(res, e);
+  }
+});
+
+adminRouter.post("/providers/:email/unsuspend", validate({ params: emailParams }), async (req, res) => {
+  try {
+    const email = req.params.email.toLowerCase();
+    const doc = await ProviderSuspension.findOneAndDelete({ email });
+    if (!doc) return res.status(404).json({ message: "Provider is not suspended" });
+    const r = await Service.updateMany({ providerEmail: email }, { $set: { providerSuspended: false } });
+    await refreshProviderSuggestions(email);
+    res.json({ suspended: false, servicesRestored: r.modifiedCount });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Force-cancel from any non-terminal state; refunds refundPct (default 100) of what was paid
+const adminCancelBody = obj({
+  refundPct: { type: "number", minimum: 0, maximum: 100, default: 100 },
+  reason: { type: "string", maxLength: 500 },
+});
+
+adminRouter.post("/bookings/:id/cancel", validate({ params: idParams, body: adminCancelBody }), async (req, res) => {
+  try {
+    const b = await Booking.findById(req.params.id);
+    if (!b) return res.status(404).json({ message: "Booking not found" });
+    if (!canTransition(b.status, "cancelled_by_admin")) {
+      return res.status(409).json({ message: `Cannot cancel a ${b.status} booking` });
+    }
+    const { refundPct } = req.body;
+
+    const { paid, ...base } = computeCancellation(b, null);
+    const refundable = money((b.price * refundPct) / 100);
+    const cancellation = {
+      ...base,
+      policyName: "Cancelled by admin",
+      refundPct,
+      refundAmount: paid ? refundable : 0,
+      penalty: money(b.price - refundable),
+    };
+    const updated = await transitionBooking(b, "cancelled_by_admin", req.auth.email, req.body?.reason, {
+      set: { cancellation },
+      refundAmount: cancellation.refundAmount,
+    });
+    if (!updated) return res.status(409).json({ message: "Booking changed, please retry" });
+    res.json({ cancelled: true, cancellation, booking: updated });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Notification queue: ?status=pending|sent|skipped|dead (dead letters are the ones to look at)
+const notificationListQuery = obj({
+  status: { type: "string", enum: ["pending", "sent", "skipped", "dead"] },
+  ...listQuery,
+});
+
+adminRouter.get("/notifications", validate({ query: notificationListQuery }), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const page = await paginate(Notification.find(filter), NEWEST_FIRST, {
+      ...listParams(req.query),
+      tag: "notifications",
+    });
+    res.json(page);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Give a dead (or stuck) notification a fresh set of attempts
+adminRouter.post("/notifications/:id/retry", withId, async (req, res) => {
+  try {
+    const doc = await Notification.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["pending", "dead"] } },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!doc) return res.status(404).json({ message: "No pending or dead notification with this id" });
+    res.json(doc);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Relay + send now instead of waiting for the notifications job
+adminRouter.post("/notifications/dispatch", async (req, res) => {
+  try {
+    res.json(await processOutbox());
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Jobs with their lock state and latest run
+adminRouter.get("/jobs", async (req, res) => {
+  try {
+    const locks = await JobLock.find({ _id: { $in: Object.keys(jobs) } });
+    const items = await Promise.all(
+      Object.entries(jobs).map(async ([name, { everyMinutes }]) => {
+        const lock = locks.find((l) => l._id === name);
+        const lastRun = await JobRun.findOne({ job: name }).sort({ startedAt: -1 });
+        const running = lock?.lockedUntil > new Date();
+        return { name, everyMinutes, running, lastStartedAt: lock?.lastStartedAt, lastRun };
+      })
+    );
+    res.json({ items });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Run history: ?job=&status=
+const jobName = { type: "string", enum: Object.keys(jobs) };
+const jobRunsQuery = obj({
+  job: jobName,
+  status: { type: "string", enum: ["running", "succeeded", "failed", "skipped"] },
+  ...listQuery,
+});
+
+adminRouter.get("/jobs/runs", validate({ query: jobRunsQuery }), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.job) filter.job = req.query.job;
+    if (req.query.status) filter.status = req.query.status;
+    const page = await paginate(JobRun.find(filter), [["startedAt", -1, asDate], ["_id", -1, asId]], {
+      ...listParams(req.query),
+      tag: "jobruns",
+    });
+    res.json(page);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+const auditQuery = obj({
+  entity: { type: "string", enum: ["Service", "Booking", "Favorite", "Review"] },
+  entityId: objectId,
+  actor: { type: "string", maxLength: 320 },
+  action: { type: "string", enum: ["create", "update", "delete"] },
+  from: dateInput,
+  to: dateInput,
+  ...listQuery,
+});
+
+// Newest first. ?entity=Service&entityId=... for one document's history, ?actor=<email> for what someone did
+adminRouter.get("/audit", validate({ query: auditQuery }), async (req, res) => {
+  try {
+    const { entity, entityId, actor, action, from, to } = req.query;
+    const filter = {};
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (actor) filter.actor = actor.toLowerCase();
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lt = new Date(to);
+    }
+    const page = await paginate(AuditEntry.find(filter), NEWEST_FIRST, { ...listParams(req.query), tag: "audit" });
+    res.json(page);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+adminRouter.post("/jobs/:name/run", validate({ params: obj({ name: jobName }, ["name"]) }), async (req, res) => {
+  try {
+    res.json(await runJob(req.params.name, "manual", { force: true }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.use("/admin", adminRouter);
+
+// ---------------- API Docs (OpenAPI) ----------------
+// Built from the live route table: validate() schemas become parameters/bodies, verifyAuth and authorize()
+// become security requirements, so the document describes exactly what the server enforces.
+const OPENAPI_ROUTERS = [
+  ["", app._router],
+  ["/admin", adminRouter],
+];
+const OPENAPI_HIDDEN = ["/openapi.json", "/docs"];
+const OPENAPI_METHODS = ["get", "post", "put", "patch", "delete"];
+const PATH_PARAM = /:(\w+)(?:\(([^)]*)\))?/g; // ":name" or ":name(a|b)"
+const errorRef = { content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } };
+
+const words = (s) => s.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+const capital = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Roles that hold `action`, noting where it only covers the requester's own resources
+function rolesFor(action) {
+  return ROLES.flatMap((role) => {
+    const perms = ROLE_PERMISSIONS[role];
+    if (perms.includes("*") || perms.includes(action)) return [role];
+    return perms.includes(`${action}:own`) ? [`${role} (own only)`] : [];
+  });
+}
+
+function openapiOperation(method, path, handlers, ids) {
+  const schema = {};
+  for (const h of handlers.filter((h) => h.schema)) {
+    for (const part of ["params", "query", "body"]) {
+      if (!h.schema[part]) continue;
+      const prev = schema[part] || { properties: {}, required: [] };
+      schema[part] = {
+        properties: { ...prev.properties, ...h.schema[part].properties },
+        required: [...prev.required, ...(h.schema[part].required || [])],
+      };
+    }
+    if (h.schema.multipart) schema.multipart = true;
+  }
+  const authed = handlers.includes(verifyAuth);
+  const actions = handlers.filter((h) => h.action).map((h) => h.action);
+  const limits = handlers.filter((h) => h.rateLimit).map((h) => h.rateLimit);
+  if (!rateLimitExempt(method.toUpperCase(), path)) limits.unshift(globalRateLimit.rateLimit);
+
+  const pathParams = [...path.matchAll(PATH_PARAM)];
+  const parameters = [
+    ...pathParams.map(([, name, choices]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: schema.params?.properties[name] || { type: "string", ...(choices && { enum: choices.split("|") }) },
+    })),
+    ...(handlers.includes(idempotent)
+      ? [{ name: "Idempotency-Key", in: "header", required: false, schema: { type: "string", maxLength: 255 } }]
+      : []),
+    ...Object.entries(schema.query?.properties || {}).map(([name, s]) => ({
+      name,
+      in: "query",
+      required: schema.query.required.includes(name),
+      schema: s,
+    })),
+  ];
+
+  const segments = path.replace(PATH_PARAM, ":$1").split("/").filter(Boolean);
+  const name = (s) => (s.startsWith(":") ? "By" : "") + words(s).map(capital).join("");
+  let operationId = method + segments.map(name).join("");
+  while (ids.has(operationId)) operationId += "_";
+  ids.add(operationId);
+
+  const op = {
+    operationId,
+    tags: [segments[0] === "admin" ? "admin" : words(segments[0] || "root")[0]],
+    parameters,
+    responses: { "2XX": { description: "Success" } },
+  };
+  if (schema.body) {
+    const body = { type: "object", ...schema.body };
+    if (!body.required.length) delete body.required;
+    if (schema.multipart) {
+      body.properties = { ...body.properties, images: { type: "array", items: { type: "string", format: "binary" } } };
+    }
+    op.requestBody = { content: { [schema.multipart ? "multipart/form-data" : "application/json"]: { schema: body } } };
+  }
+  if (parameters.length || schema.body) op.responses[400] = { description: "Validation failed", ...errorRef };
+  if (authed) {
+    op.security = [{ bearerAuth: [] }];
+    op.responses[401] = { description: "Missing or invalid token", ...errorRef };
+  }
+  if (actions.length) {
+    op["x-permissions"] = actions;
+    op.description = actions.map((a) => `Requires \`${a}\`: ${rolesFor(a).join(", ")}.`).join("\n");
+    op.responses[403] = { description: "Not permitted", ...errorRef };
+  }
+  if (limits.some((l) => l.limit)) {
+    op["x-rate-limits"] = limits
+      .filter((l) => l.limit)
+      .map(({ group, limit, windowMs }) => ({ group, limit, windowSeconds: windowMs / 1000 }));
+    op.responses[429] = {
+      description: "Rate limited; retry after the given number of seconds",
+      headers: { "Retry-After": { schema: { type: "integer" } } },
+      ...errorRef,
+    };
+  }
+  if (handlers.includes(idempotent)) {
+    op.responses[409] = { description: "A request with the same Idempotency-Key is still in progress", ...errorRef };
+    op.responses[422] = { description: "Idempotency-Key reused with a different payload", ...errorRef };
+  }
+  if (pathParams.length) op.responses[404] = { description: "Not found", ...errorRef };
+  op.responses.default = { description: "Error", ...errorRef };
+  return op;
+}
+
+function buildOpenapi() {
+  const paths = {};
+  const ids = new Set();
+  for (const [prefix, router] of OPENAPI_ROUTERS) {
+    // router-level middleware (adminRouter's auth guard) applies to every route after it
+    const guards = [];
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (router !== app._router) guards.push(layer.handle);
+        continue;
+      }
+      const path = prefix + layer.route.path;
+      if (OPENAPI_HIDDEN.includes(path)) continue;
+      const key = path.replace(PATH_PARAM, "{$1}");
+      const handlers = [...guards, ...layer.route.stack.map((l) => l.handle)];
+      for (const method of OPENAPI_METHODS.filter((m) => layer.route.methods[m])) {
+        paths[key] = { ...paths[key], [method]: openapiOperation(method, path, handlers, ids) };
+      }
+    }
+  }
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "HomeHero API",
+      version: process.env.npm_package_version || "1.0.0",
+      description:
+        "Routes marked with bearerAuth take a Firebase ID token in `Authorization: Bearer <token>` " +
+        "(enforced when the server runs with VERIFY_TOKEN=true). Errors share the `Error` shape.",
+    },
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "Firebase ID token" } },
+      schemas: {
+        Error: obj(
+          {
+            message: { type: "string" },
+            code: { type: "string" },
+            details: {
+              type: "array",
+              items: obj({ field: { type: "string" }, code: { type: "string" }, message: { type: "string" } }),
+            },
+            requestId: { type: "string" },
+          },
+          ["message", "code", "details", "requestId"]
+        ),
+      },
+    },
+  };
+}
+
+let openapiDoc;
+app.get("/openapi.json", (req, res) => {
+  openapiDoc ||= buildOpenapi();
+  res.json(openapiDoc);
+});
+
+// Pinned, with the files' SRI hashes, so the CDN can't change what runs on the docs page. To upgrade, bump the
+// version and recompute: openssl dgst -sha384 -binary <file from the npm package> | base64
+const SWAGGER_UI = "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.33.1";
+const SWAGGER_UI_SRI = {
+  "swagger-ui-bundle.js": "sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw",
+  "swagger-ui.css": "sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW",
+};
+
+app.get("/docs", (req, res) => {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  res.set(
+    "Content-Security-Policy",
+    [
+      "default-src 'self'",
+      `script-src 'nonce-${nonce}' ${SWAGGER_UI}/`,
+      `style-src 'self' 'unsafe-inline' ${SWAGGER_UI}/`,
+      "img-src 'self' data:",
+      "connect-src 'self'",
+    ].join("; ")
+  );
+  res.type("html").send(`<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>HomeHero API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css"
+    integrity="${SWAGGER_UI_SRI["swagger-ui.css"]}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js" nonce="${nonce}"
+    integrity="${SWAGGER_UI_SRI["swagger-ui-bundle.js"]}" crossorigin="anonymous"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: "/openapi.json", dom_id: "#docs", persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+});
+
+// ---------------- Global Error Handler ----------------
+app.use((err, req, res, next) => sendError(res, err));
+
+export default app;
+export { connectDB, runJobs, jobs };
@@ -0,0 +1,87 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, book, as, ADMIN } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+const PARAMS = { id: "64b000000000000000000001", email: "someone@cust.test", name: "reminders" };
+
+describe("admin back-office", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "admin@pro.test";
+  const CUSTOMER = "admin@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER);
+  });
+  after(closeApp);
+
+  test("puts every /admin route behind the one admin gate", async () => {
+    const { body: spec } = await api.get("/openapi.json");
+    const routes = Object.entries(spec.paths)
+      .filter(([path]) => path.startsWith("/admin/"))
+      .flatMap(([path, ops]) => {
+        const url = path.replace(/\{(\w+)\}/g, (_, p) => PARAMS[p]);
+        return Object.keys(ops).map((method) => [method, url]);
+      });
+    assert.ok(routes.length > 10);
+    for (const [method, path] of routes) {
+      assert.equal((await api[method](path).send({})).status, 401, `${method} ${path}`);
+      assert.equal((await api[method](path).set(as(CUSTOMER)).send({})).status, 403, `${method} ${path}`);
+    }
+  });
+
+  test("reports platform metrics", async () => {
+    const { status, body } = await api.get("/admin/metrics").set(as(ADMIN));
+    assert.equal(status, 200);
+    assert.ok(body.newServices >= 1);
+    assert.ok(Array.isArray(body.bookingsPerDay));
+  });
+
+  test("finds users, services and bookings", async () => {
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const { body } = await api.get("/admin/search?q=admin%40").set(as(ADMIN));
+    assert.ok(body.services.some((s) => s._id === svc._id));
+    assert.ok(body.bookings.some((x) => x._id === b._id));
+    assert.ok(body.users.some((u) => u.email === CUSTOMER));
+    const byId = await api.get(`/admin/search?q=${b._id}&type=bookings`).set(as(ADMIN));
+    assert.deepEqual(Object.keys(byId.body), ["bookings"]);
+    assert.equal(byId.body.bookings[0]._id, b._id);
+  });
+
+  test("suspending a provider hides their services until they're unsuspended", async () => {
+    const listed = async () => (await api.get(`/services?providerEmail=${PROVIDER}`)).body.items.length;
+    assert.equal(await listed(), 1);
+
+    const res = await api.post(`/admin/providers/${PROVIDER}/suspend`).set(as(ADMIN)).send({ reason: "complaints" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.servicesHidden, 1);
+    assert.equal(await listed(), 0);
+    const q = await api.post("/bookings/quote").set(as(CUSTOMER)).send({ serviceId: svc._id, bookingDate: nextDate() });
+    assert.equal(q.status, 403);
+    assert.equal(q.body.message, "This provider is not taking bookings");
+
+    const back = await api.post(`/admin/providers/${PROVIDER}/unsuspend`).set(as(ADMIN)).send({});
+    assert.equal(back.body.servicesRestored, 1);
+    assert.equal(await listed(), 1);
+    assert.equal((await api.post(`/admin/providers/${PROVIDER}/unsuspend`).set(as(ADMIN)).send({})).status, 404);
+  });
+
+  test("force-cancels a booking with a partial refund", async () => {
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const res = await api
+      .post(`/admin/bookings/${b._id}/cancel`)
+      .set(as(ADMIN))
+      .send({ refundPct: 40, reason: "provider unavailable" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.booking.status, "cancelled_by_admin");
+    assert.equal(res.body.cancellation.refundPct, 40);
+    assert.equal(res.body.cancellation.penalty, b.price * 0.6);
+    assert.equal(res.body.booking.history.at(-1).by, ADMIN);
+    assert.equal((await api.post(`/admin/bookings/${b._id}/cancel`).set(as(ADMIN)).send({})).status, 409);
+  });
+});
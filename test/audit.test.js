@@ -0,0 +1,97 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { needsDB, loadApp, closeApp, createService, book, as, model, ADMIN } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("audit trail", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "audit@pro.test";
+  const CUSTOMER = "audit@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER, { price: 80 });
+  });
+  after(closeApp);
+
+  // Oldest first, which is the order the writes happened in
+  const trail = async (query) => (await api.get("/admin/audit").query(query).set(as(ADMIN))).body.items.reverse();
+  const changeOf = (entry, path) => entry.changes.find((c) => c.path === path);
+
+  test("records a created document's fields and an edit's changes, by whoever made them", async () => {
+    const [created] = await trail({ entity: "Service", entityId: svc._id });
+    assert.equal(created.action, "create");
+    assert.equal(created.actor, PROVIDER);
+    assert.deepEqual(changeOf(created, "price"), { path: "price", op: "set", value: 80 });
+
+    const edit = await api.patch(`/services/${svc._id}`).set(as(PROVIDER)).send({ price: 95 });
+    assert.equal(edit.status, 200);
+    const entries = await trail({ entity: "Service", entityId: svc._id });
+    assert.deepEqual(entries.map((e) => e.action), ["create", "update"]);
+    const update = entries[1];
+    assert.deepEqual(changeOf(update, "price"), { path: "price", op: "set", value: 95 });
+    assert.ok(update.requestId);
+    assert.equal(changeOf(update, "updatedAt"), undefined);
+  });
+
+  test("leaves out writes that only touch counters and derived fields", async () => {
+    const before = (await trail({ entity: "Service", entityId: svc._id })).length;
+    assert.equal((await api.get(`/services/${svc._id}`)).status, 200); // counts a view
+    assert.equal((await trail({ entity: "Service", entityId: svc._id })).length, before);
+  });
+
+  test("records each step of a booking, with the operators the write used", async () => {
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    assert.equal((await api.post(`/bookings/${b._id}/accept`).set(as(PROVIDER)).send({})).status, 200);
+    const entries = await trail({ entity: "Booking", entityId: b._id });
+    const [created, accepted] = [entries[0], entries.at(-1)];
+    assert.equal(created.action, "create");
+    assert.equal(created.actor, CUSTOMER);
+    assert.equal(changeOf(created, "status").value, "requested");
+    assert.equal(accepted.actor, PROVIDER);
+    assert.deepEqual(changeOf(accepted, "status"), { path: "status", op: "set", value: "confirmed" });
+    assert.equal(changeOf(accepted, "history").op, "push");
+    assert.equal(changeOf(accepted, "outbox"), undefined);
+  });
+
+  test("puts what the scheduled jobs change down to the job", async () => {
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    // createdAt can't be set through the model, and the collection's own writes aren't audited
+    const longAgo = { createdAt: new Date(Date.now() - DAY) };
+    await model("Booking").collection.updateOne({ _id: new mongoose.Types.ObjectId(b._id) }, { $set: longAgo });
+    await api.get("/__cron?job=expire-holds&force=true").set("Authorization", "Bearer test-cron-secret");
+
+    const expired = (await trail({ entity: "Booking", entityId: b._id })).at(-1);
+    assert.equal(expired.actor, "job:expire-holds");
+    assert.deepEqual(changeOf(expired, "status"), { path: "status", op: "set", value: "expired" });
+  });
+
+  test("tells a favorite's first save from a repeat, and records its removal", async () => {
+    const save = () => api.post("/favorites").set(as(CUSTOMER)).send({ userEmail: CUSTOMER, serviceId: svc._id });
+    const fav = (await save()).body;
+    assert.equal((await save()).status, 201);
+    assert.equal((await api.delete(`/favorites/${fav._id}`).set(as(CUSTOMER))).status, 200);
+
+    const entries = await trail({ entity: "Favorite", entityId: fav._id });
+    assert.deepEqual(entries.map((e) => [e.action, e.actor]), [["create", CUSTOMER], ["delete", CUSTOMER]]);
+    assert.equal(changeOf(entries[0], "serviceId").value, svc._id);
+    assert.deepEqual(entries[1].changes, []);
+  });
+
+  test("records a write by filter once, with its filter and how many it changed", async () => {
+    await createService(api, PROVIDER, { name: "Window Cleaning" });
+    const res = await api.post(`/admin/providers/${PROVIDER}/suspend`).set(as(ADMIN)).send({ reason: "audit" });
+    assert.equal(res.status, 200);
+
+    const [entry] = await trail({ entity: "Service", actor: ADMIN, action: "update" });
+    assert.equal(entry.entityId, undefined);
+    assert.equal(entry.count, 2);
+    assert.deepEqual(JSON.parse(entry.filter), { providerEmail: PROVIDER });
+    assert.deepEqual(entry.changes, [{ path: "providerSuspended", op: "set", value: true }]);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, book, as, ADMIN } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("booking lifecycle", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "lifecycle@pro.test";
+  const CUSTOMER = "lifecycle@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER);
+  });
+  after(closeApp);
+
+  const newBooking = async (customer = CUSTOMER) =>
+    (await book(api, customer, { serviceId: svc._id, bookingDate: nextDate() })).body;
+  const act = (b, action, by = PROVIDER) => api.post(`/bookings/${b._id}/${action}`).set(as(by)).send({});
+  const cancel = (b, by = CUSTOMER) => api.delete(`/bookings/${b._id}`).set(as(by)).send({ reason: "plans changed" });
+
+  test("starts as requested and walks through the provider's actions", async () => {
+    const b = await newBooking();
+    assert.equal(b.status, "requested");
+    assert.deepEqual(b.history.map((h) => [h.from, h.to]), [[null, "requested"]]);
+
+    for (const [action, status] of [["accept", "confirmed"], ["start", "in_progress"], ["complete", "completed"]]) {
+      const res = await act(b, action);
+      assert.equal(res.status, 200, action);
+      assert.equal(res.body.status, status);
+    }
+    const { body } = await api.get(`/bookings?userEmail=${CUSTOMER}`).set(as(CUSTOMER));
+    const done = body.items.find((x) => x._id === b._id);
+    assert.deepEqual(done.history.map((h) => h.to), ["requested", "confirmed", "in_progress", "completed"]);
+    assert.equal(done.history.at(-1).by, PROVIDER);
+  });
+
+  test("refuses transitions the state machine doesn't allow", async () => {
+    const b = await newBooking();
+    const res = await act(b, "complete");
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Cannot move booking from requested to completed");
+  });
+
+  test("cancelling keeps the booking and records who cancelled", async () => {
+    const b = await newBooking();
+    const res = await cancel(b);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.booking.status, "cancelled_by_customer");
+    assert.equal(res.body.booking.history.at(-1).by, CUSTOMER);
+    assert.equal(res.body.booking.history.at(-1).note, "plans changed");
+
+    const { body } = await api.get(`/bookings?userEmail=${CUSTOMER}`).set(as(CUSTOMER));
+    assert.equal(body.items.find((x) => x._id === b._id).status, "cancelled_by_customer");
+    assert.equal((await cancel(b)).status, 409);
+  });
+
+  test("records an admin cancelling someone else's booking as an admin cancellation", async () => {
+    const b = await newBooking();
+    const res = await cancel(b, ADMIN);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.booking.status, "cancelled_by_admin");
+    assert.equal(res.body.booking.history.at(-1).by, ADMIN);
+  });
+
+  test("only lets the customer cancel their own booking", async () => {
+    const b = await newBooking();
+    assert.equal((await cancel(b, "someone-else@cust.test")).status, 403);
+  });
+
+  test("only lets the service's provider manage the booking", async () => {
+    const b = await newBooking();
+    assert.equal((await act(b, "accept", "other@pro.test")).status, 403);
+  });
+
+  test("applies a transition once when two requests race for it", async () => {
+    const b = await newBooking();
+    const results = await Promise.all([act(b, "accept"), act(b, "accept")]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+    const { body } = await api.get(`/bookings?userEmail=${CUSTOMER}`).set(as(CUSTOMER));
+    const stored = body.items.find((x) => x._id === b._id);
+    assert.equal(stored.history.length, 2);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, book, as } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+let minutes = 0;
+// a fresh booking date `hours` ahead; the extra minutes keep a user's bookings from colliding
+const inHours = (hours) => new Date(Date.now() + hours * HOUR + ++minutes * 60 * 1000).toISOString();
+
+describe("cancellation policies", needsDB, () => {
+  let api;
+  let svc;
+  let policy;
+  const PROVIDER = "policies@pro.test";
+  const CUSTOMER = "policies@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER, { price: 100 });
+    const res = await api
+      .post("/cancellation-policies")
+      .set(as(PROVIDER))
+      .send({
+        name: "Moderate",
+        tiers: [
+          { minHoursBefore: 0, refundPct: 0 },
+          { minHoursBefore: 48, refundPct: 100 },
+          { minHoursBefore: 24, refundPct: 50, feeFlat: 5 },
+        ],
+      });
+    assert.equal(res.status, 201);
+    policy = res.body;
+    const attach = await api.patch(`/services/${svc._id}`).set(as(PROVIDER)).send({ cancellationPolicyId: policy._id });
+    assert.equal(attach.status, 200);
+  });
+  after(closeApp);
+
+  const bookIn = async (hours, service = svc) =>
+    (await book(api, CUSTOMER, { serviceId: service._id, bookingDate: inHours(hours) })).body;
+  const preview = async (b) => (await api.get(`/bookings/${b._id}/cancellation-preview`).set(as(CUSTOMER))).body;
+  const pay = (b) => api.post(`/payments/mock/${b.payment.checkoutUrl.split("/").pop()}/succeed`).send({});
+
+  test("stores the tiers from the longest notice down", () => {
+    assert.deepEqual(policy.tiers.map((t) => t.minHoursBefore), [48, 24, 0]);
+  });
+
+  test("picks the tier by how far ahead the booking is", async () => {
+    for (const [hours, refundPct, penalty] of [[72, 100, 0], [36, 50, 55], [12, 0, 100]]) {
+      const p = await preview(await bookIn(hours));
+      assert.equal(p.cancellable, true);
+      assert.equal(p.policyName, "Moderate");
+      assert.equal(p.refundPct, refundPct, `${hours}h`);
+      assert.equal(p.penalty, penalty, `${hours}h`);
+      assert.equal(p.refundAmount, 0, "nothing to refund before payment");
+    }
+  });
+
+  test("refunds what the tier allows of a paid booking", async () => {
+    const b = await bookIn(36);
+    assert.equal((await pay(b)).status, 200);
+    assert.equal((await preview(b)).refundAmount, 45);
+
+    const res = await api.delete(`/bookings/${b._id}`).set(as(CUSTOMER)).send({});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cancellation.refundAmount, 45);
+    assert.equal(res.body.cancellation.penalty, 55);
+    assert.equal(res.body.booking.paymentStatus, "partially_refunded");
+  });
+
+  test("never penalises the customer when the provider cancels", async () => {
+    const b = await bookIn(12);
+    assert.equal((await pay(b)).status, 200);
+    const res = await api.post(`/bookings/${b._id}/cancel`).set(as(PROVIDER)).send({});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cancellation.refundPct, 100);
+    assert.equal(res.body.paymentStatus, "refunded");
+  });
+
+  test("gives everything back on services without a policy", async () => {
+    const plain = await createService(api, "policies-none@pro.test");
+    const p = await preview(await bookIn(1, plain));
+    assert.equal(p.policyName, "Full refund");
+    assert.equal(p.refundPct, 100);
+    assert.equal(p.penalty, 0);
+  });
+
+  test("won't attach another provider's policy", async () => {
+    const other = await createService(api, "policies-other@pro.test");
+    const res = await api
+      .patch(`/services/${other._id}`)
+      .set(as("policies-other@pro.test"))
+      .send({ cancellationPolicyId: policy._id });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Unknown cancellation policy");
+  });
+});
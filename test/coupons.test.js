@@ -0,0 +1,114 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, quote, book, as, model, ADMIN } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("promo codes", needsDB, () => {
+  let api;
+  let svc;
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, "coupons@pro.test", { price: 200, category: "Plumbing" });
+  });
+  after(closeApp);
+
+  let codes = 0;
+  const createCoupon = async (fields = {}) => {
+    const res = await api
+      .post("/admin/coupons")
+      .set(as(ADMIN))
+      .send({ code: `save${++codes}`, type: "fixed", value: 50, ...fields });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  };
+  const at = (couponCode) => ({ serviceId: svc._id, bookingDate: nextDate(), couponCode });
+  const redeemed = async (c) => (await model("Coupon").findById(c._id)).redeemedCount;
+  const bookWith = (email, q) =>
+    api.post("/bookings").set(as(email)).send({ userEmail: email, quoteToken: q.body.quoteToken });
+
+  test("only admins manage coupons", async () => {
+    const res = await api
+      .post("/admin/coupons")
+      .set(as("someone@cust.test"))
+      .send({ code: "X", type: "fixed", value: 1 });
+    assert.equal(res.status, 403);
+  });
+
+  test("discounts the quote and the booking", async () => {
+    const c = await createCoupon({ type: "percent", value: 30, maxDiscount: 40 });
+    const q = await quote(api, "a@cust.test", at(c.code.toLowerCase()));
+    assert.equal(q.status, 200);
+    assert.equal(q.body.discount, 40); // 30% of 200 capped at 40
+    assert.equal(q.body.total, 160);
+
+    const res = await book(api, "b@cust.test", at(c.code));
+    assert.equal(res.status, 201);
+    assert.equal(res.body.price, 160);
+    assert.equal(res.body.coupon.code, c.code);
+    assert.equal(await redeemed(c), 1);
+  });
+
+  test("refuses coupons that don't apply", async () => {
+    const cases = [
+      [{ active: false }, "Invalid coupon code"],
+      [{ endsAt: new Date(Date.now() - DAY).toISOString() }, "Coupon is not valid at this time"],
+      [{ startsAt: new Date(Date.now() + DAY).toISOString() }, "Coupon is not valid at this time"],
+      [{ categories: ["Cleaning"] }, "Coupon does not apply to this category"],
+      [{ minOrder: 500 }, "Minimum order is 500"],
+    ];
+    for (const [fields, message] of cases) {
+      const c = await createCoupon(fields);
+      const res = await quote(api, "a@cust.test", at(c.code));
+      assert.equal(res.status, 400, JSON.stringify(fields));
+      assert.equal(res.body.message, message);
+    }
+    assert.equal((await quote(api, "a@cust.test", at("NO-SUCH-CODE"))).body.message, "Invalid coupon code");
+  });
+
+  test("holds each user to perUserLimit", async () => {
+    const c = await createCoupon({ perUserLimit: 1 });
+    assert.equal((await book(api, "once@cust.test", at(c.code))).status, 201);
+    const again = await quote(api, "once@cust.test", at(c.code));
+    assert.equal(again.status, 400);
+    assert.equal(again.body.message, "You have already used this coupon");
+  });
+
+  test("never goes past maxRedemptions when bookings race", async () => {
+    const c = await createCoupon({ maxRedemptions: 2 });
+    const users = ["a", "b", "c", "d", "e"].map((u) => `${u}@race.test`);
+    const quotes = await Promise.all(users.map((u) => quote(api, u, at(c.code))));
+    assert.ok(quotes.every((q) => q.status === 200));
+
+    const results = await Promise.all(users.map((u, i) => bookWith(u, quotes[i])));
+    assert.equal(results.filter((r) => r.status === 201).length, 2);
+    for (const r of results.filter((x) => x.status !== 201)) {
+      assert.equal(r.status, 409);
+      assert.equal(r.body.message, "Coupon is no longer available");
+    }
+    assert.equal(await redeemed(c), 2);
+  });
+
+  test("never goes past perUserLimit when one user's bookings race", async () => {
+    const c = await createCoupon({ perUserLimit: 1 });
+    const quotes = await Promise.all([1, 2, 3].map(() => quote(api, "racer@cust.test", at(c.code))));
+    const results = await Promise.all(quotes.map((q) => bookWith("racer@cust.test", q)));
+    assert.equal(results.filter((r) => r.status === 201).length, 1);
+    assert.equal(await redeemed(c), 1);
+    assert.equal((await model("CouponRedemption").findOne({ couponId: c._id })).count, 1);
+  });
+
+  test("gives the redemption back when the booking is cancelled", async () => {
+    const c = await createCoupon({ perUserLimit: 1, maxRedemptions: 1 });
+    const b = await book(api, "cancel@cust.test", at(c.code));
+    assert.equal(await redeemed(c), 1);
+
+    const res = await api.delete(`/bookings/${b.body._id}`).set(as("cancel@cust.test")).send({});
+    assert.equal(res.status, 200);
+    assert.equal(await redeemed(c), 0);
+    assert.equal((await quote(api, "cancel@cust.test", at(c.code))).status, 200);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, test, before } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "./helpers.js";
+
+// No database needed: both routes are served from what the app knows about itself
+describe("API docs", () => {
+  let api;
+
+  before(async () => {
+    ({ api } = await loadApp());
+  });
+
+  test("loads a pinned Swagger UI with subresource integrity", async () => {
+    const res = await api.get("/docs");
+    assert.equal(res.status, 200);
+    const assets = [...res.text.matchAll(/(?:src|href)="(https:[^"]+)"\s+(?:nonce="[^"]+"\s+)?integrity="([^"]+)"/g)];
+    assert.deepEqual(assets.map(([, url]) => url.split("/").pop()), ["swagger-ui.css", "swagger-ui-bundle.js"]);
+    for (const [, url, integrity] of assets) {
+      assert.match(url, /swagger-ui-dist@\d+\.\d+\.\d+\//);
+      assert.match(integrity, /^sha384-[A-Za-z0-9+/]{64}$/);
+    }
+    assert.match(res.headers["content-security-policy"], /script-src 'nonce-[^']+' https:\/\/cdn\.jsdelivr\.net/);
+  });
+
+  test("describes the API, admin routes included", async () => {
+    const { body } = await api.get("/openapi.json");
+    assert.ok(body.paths["/services"].get);
+    assert.ok(body.paths["/admin/coupons"].post);
+    assert.ok(!body.paths["/docs"]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, book, as, model } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+// "id: 3\nevent: booking.created\ndata: {...}" blocks, as { id, type, data }
+const field = (line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)];
+const parseStream = (text) =>
+  text
+    .split("\n\n")
+    .map((block) => Object.fromEntries(block.split("\n").map(field)))
+    .filter((e) => e.id)
+    .map((e) => ({ id: Number(e.id), type: e.event, data: JSON.parse(e.data) }));
+
+describe("event stream", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "events@pro.test";
+  const CUSTOMER = "events@cust.test";
+  const OTHER = "events-other@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp({ SSE_MAX_SECONDS: "1" }));
+    svc = await createService(api, PROVIDER);
+  });
+  after(closeApp);
+
+  const ticketFor = async (email) => (await api.post("/events/ticket").set(as(email)).send({})).body.ticket;
+  const poll = (email, after) => api.get(`/events/poll${after == null ? "" : `?after=${after}`}`).set(as(email));
+
+  test("streams the caller's own events to a ticket holder", async () => {
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const res = await api.get(`/events?ticket=${await ticketFor(CUSTOMER)}&lastEventId=0`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /text\/event-stream/);
+    const created = parseStream(res.text).find((e) => e.type === "booking.created");
+    assert.equal(created.data.bookingId, b._id);
+
+    const provider = await api.get(`/events?ticket=${await ticketFor(PROVIDER)}&lastEventId=0`);
+    assert.ok(parseStream(provider.text).some((e) => e.data.bookingId === b._id));
+    const other = await api.get(`/events?ticket=${await ticketFor(OTHER)}&lastEventId=0`);
+    assert.deepEqual(parseStream(other.text), []);
+  });
+
+  test("resumes after the Last-Event-ID", async () => {
+    const ticket = await ticketFor(CUSTOMER);
+    const all = parseStream((await api.get(`/events?ticket=${ticket}&lastEventId=0`)).text);
+    await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const res = await api.get(`/events?ticket=${ticket}`).set("Last-Event-ID", String(all.at(-1).id));
+    const resumed = parseStream(res.text);
+    assert.deepEqual(resumed.map((e) => e.type), ["booking.created"]);
+    assert.ok(resumed[0].id > all.at(-1).id);
+  });
+
+  test("accepts only its own unexpired tickets", async () => {
+    const bad = await api.get("/events?ticket=forged.ticket");
+    assert.equal(bad.status, 401);
+    assert.equal(bad.body.code, "invalid_ticket");
+
+    const q = await api.post("/bookings/quote").set(as(CUSTOMER)).send({ serviceId: svc._id, bookingDate: nextDate() });
+    assert.equal((await api.get(`/events?ticket=${q.body.quoteToken}`)).status, 401);
+    assert.equal((await api.get("/events").query({ token: await ticketFor(CUSTOMER) })).status, 400);
+  });
+
+  test("serves the same events for polling", async () => {
+    const start = await poll(CUSTOMER);
+    assert.deepEqual(start.body.items, []);
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const { body } = await poll(CUSTOMER, start.body.lastEventId);
+    assert.deepEqual(body.items.map((e) => [e.type, e.data.bookingId]), [["booking.created", b._id]]);
+    assert.equal(body.lastEventId, body.items[0].id);
+    assert.deepEqual((await poll(CUSTOMER, body.lastEventId)).body.items, []);
+    assert.deepEqual((await poll(OTHER, start.body.lastEventId)).body.items, []);
+  });
+
+  test("records every one of many concurrent publishes, in one gapless sequence", async () => {
+    const { body: b } = await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const since = (await poll(PROVIDER)).body.lastEventId;
+    const sent = await Promise.all(
+      Array.from({ length: 12 }, (_, i) =>
+        api.post(`/bookings/${b._id}/messages`).set(as(CUSTOMER)).send({ text: `message ${i}` })
+      )
+    );
+    assert.ok(sent.every((r) => r.status === 201));
+
+    const { body } = await poll(PROVIDER, since);
+    assert.equal(body.items.length, 12);
+    assert.deepEqual(body.items.map((e) => e.data.text).sort(), sent.map((r) => r.body.text).sort());
+    const seqs = (await model("Event").find().sort({ seq: 1 }).lean()).map((e) => e.seq);
+    assert.deepEqual(seqs, Array.from({ length: seqs.length }, (_, i) => i + 1));
+  });
+});
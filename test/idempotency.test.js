@@ -0,0 +1,90 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, quote, as, model } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("Idempotency-Key", needsDB, () => {
+  let api;
+  let svc;
+  let keys = 0;
+  const CUSTOMER = "idem@cust.test";
+  const newKey = () => `idem-test-${++keys}`;
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, "idem@pro.test");
+  });
+  after(closeApp);
+
+  // The same payload every time it's sent, as a retrying client would
+  const bookingRequest = async (bookingDate = nextDate()) => {
+    const q = await quote(api, CUSTOMER, { serviceId: svc._id, bookingDate });
+    assert.equal(q.status, 200);
+    return { userEmail: CUSTOMER, quoteToken: q.body.quoteToken };
+  };
+  const post = (body, key) => api.post("/bookings").set({ ...as(CUSTOMER), "Idempotency-Key": key }).send(body);
+  const bookingsOn = (bookingDate) => model("Booking").countDocuments({ userEmail: CUSTOMER, bookingDate });
+
+  test("replays the first response to a retry instead of booking twice", async () => {
+    const body = await bookingRequest();
+    const key = newKey();
+    const first = await post(body, key);
+    assert.equal(first.status, 201);
+    assert.equal(first.headers["idempotent-replayed"], undefined);
+
+    const retry = await post({ quoteToken: body.quoteToken, userEmail: body.userEmail }, key);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.match(retry.headers["content-type"], /application\/json/);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(await bookingsOn(first.body.bookingDate), 1);
+
+    // another caller's key of the same name is theirs alone
+    const other = await api.post("/bookings").set({ ...as("idem-2@cust.test"), "Idempotency-Key": key }).send(body);
+    assert.equal(other.headers["idempotent-replayed"], undefined);
+  });
+
+  test("refuses a key reused with a different payload, and malformed keys", async () => {
+    const key = newKey();
+    assert.equal((await post(await bookingRequest(), key)).status, 201);
+    const reused = await post(await bookingRequest(), key);
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.code, "idempotency_key_reused");
+
+    const bad = await post(await bookingRequest(), "has spaces");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.code, "invalid_value");
+  });
+
+  test("keeps a conflict as the request's outcome", async () => {
+    const bookingDate = nextDate();
+    assert.equal((await post(await bookingRequest(bookingDate), newKey())).status, 201);
+    const body = await bookingRequest(bookingDate);
+    const key = newKey();
+    const conflict = await post(body, key);
+    assert.equal(conflict.status, 409);
+
+    const retry = await post(body, key);
+    assert.equal(retry.status, 409);
+    assert.equal(retry.headers["idempotent-replayed"], "true");
+    assert.deepEqual(retry.body, conflict.body);
+  });
+
+  test("replays the headers the first response carried", async () => {
+    const body = await bookingRequest();
+    const key = newKey();
+    const first = await post(body, key);
+    const _id = `user:${CUSTOMER}|POST /bookings|${key}`;
+    const rec = await model("IdempotencyRecord").findById(_id).lean();
+    assert.equal(rec.state, "done");
+    assert.deepEqual(Object.keys(rec.headers), ["Content-Type"]);
+
+    const location = `/bookings/${first.body._id}`;
+    await model("IdempotencyRecord").updateOne({ _id }, { $set: { "headers.Location": location } });
+    const retry = await post(body, key);
+    assert.equal(retry.headers.location, location);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { needsDB, loadApp, closeApp, createService, book, as, model, ADMIN } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("scheduled jobs", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "jobs@pro.test";
+  const CUSTOMER = "jobs@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER);
+  });
+  after(closeApp);
+
+  const run = (job) => api.get(`/__cron?job=${job}&force=true`).set("Authorization", "Bearer test-cron-secret");
+  const resultOf = async (job) => (await run(job)).body.results[0].result;
+  const newBooking = async () => (await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() })).body;
+  const act = (b, action) => api.post(`/bookings/${b._id}/${action}`).set(as(PROVIDER)).send({});
+  const pay = (b) => api.post(`${b.payment.checkoutUrl}/succeed`).send({});
+  const stored = (b) => model("Booking").findById(b._id).lean();
+  // createdAt can't be set through the model, so dates are moved on the collection
+  const age = (b, fields) =>
+    model("Booking").collection.updateOne({ _id: new mongoose.Types.ObjectId(b._id) }, { $set: fields });
+
+  test("needs the cron secret", async () => {
+    assert.equal((await api.get("/__cron")).status, 401);
+    assert.equal((await api.get("/__cron").set("Authorization", "Bearer wrong")).status, 401);
+  });
+
+  test("expires unpaid requests past the hold time, and nothing else", async () => {
+    const stale = await newBooking();
+    const paid = await newBooking();
+    const accepted = await newBooking();
+    const fresh = await newBooking();
+    assert.equal((await pay(paid)).status, 200);
+    assert.equal((await act(accepted, "accept")).status, 200);
+    const longAgo = { createdAt: new Date(Date.now() - 2 * HOUR) };
+    for (const b of [stale, paid, accepted]) await age(b, longAgo);
+
+    assert.equal((await resultOf("expire-holds")).expired, 1);
+    const expired = await stored(stale);
+    assert.equal(expired.status, "expired");
+    assert.equal(expired.history.at(-1).by, "system");
+    assert.equal((await stored(paid)).status, "requested");
+    assert.equal((await stored(accepted)).status, "confirmed");
+    assert.equal((await stored(fresh)).status, "requested");
+  });
+
+  test("completes past paid bookings and flags unpaid ones for the provider, once", async () => {
+    const paid = await newBooking();
+    const unpaid = await newBooking();
+    assert.equal((await pay(paid)).status, 200);
+    for (const b of [paid, unpaid]) {
+      assert.equal((await act(b, "accept")).status, 200);
+      await age(b, { bookingDate: new Date(Date.now() - 2 * DAY) });
+    }
+
+    const result = await resultOf("auto-complete");
+    assert.deepEqual(result, { completed: 1, flagged: 1 });
+    const done = await stored(paid);
+    assert.equal(done.status, "completed");
+    assert.deepEqual(
+      done.history.slice(-2).map((h) => [h.to, h.by]),
+      [["in_progress", "system"], ["completed", "system"]]
+    );
+
+    const open = await stored(unpaid);
+    assert.equal(open.status, "confirmed");
+    assert.ok(open.settlementDueAt);
+    assert.ok(open.outbox.some((e) => e.type === "booking.settlement_due"));
+    assert.deepEqual(await resultOf("auto-complete"), { completed: 0, flagged: 0 });
+
+    const due = async () =>
+      (await api.get("/provider/bookings?settlementDue=true").set(as(PROVIDER))).body.items.map((b) => b._id);
+    assert.deepEqual(await due(), [unpaid._id]);
+    assert.equal((await act(unpaid, "start")).status, 200);
+    assert.equal((await act(unpaid, "complete")).status, 200);
+    assert.deepEqual(await due(), []);
+  });
+
+  test("sends each reminder once, in the window it's due", async () => {
+    const soon = await newBooking();
+    const later = await newBooking();
+    const unconfirmed = await newBooking();
+    for (const b of [soon, later]) assert.equal((await act(b, "accept")).status, 200);
+    await age(soon, { bookingDate: new Date(Date.now() + 30 * 60 * 1000) });
+    await age(later, { bookingDate: new Date(Date.now() + 5 * HOUR) });
+    await age(unconfirmed, { bookingDate: new Date(Date.now() + 5 * HOUR) });
+
+    assert.deepEqual(await resultOf("booking-reminders"), { "24h": 1, "1h": 1 });
+    assert.deepEqual((await stored(soon)).remindersSent, ["1h"]);
+    assert.deepEqual((await stored(later)).remindersSent, ["24h"]);
+    assert.equal((await stored(unconfirmed)).remindersSent, undefined);
+    assert.deepEqual(await resultOf("booking-reminders"), { "24h": 0, "1h": 0 });
+  });
+
+  test("runs a due job once when calls overlap, and records the runs", async () => {
+    const cron = () => api.get("/__cron?job=purge").set("Authorization", "Bearer test-cron-secret");
+    const results = await Promise.all([cron(), cron(), cron()]);
+    const statuses = results.map((r) => r.body.results[0].status);
+    assert.equal(statuses.filter((s) => s === "succeeded").length, 1);
+    assert.ok(statuses.every((s) => ["succeeded", "skipped", "not_due"].includes(s)));
+
+    // the runs that found the lock held are recorded as skipped; not-due polls aren't recorded
+    const { body } = await api.get("/admin/jobs/runs?job=purge").set(as(ADMIN));
+    const skipped = statuses.filter((s) => s === "skipped").length;
+    assert.equal(body.items.length, 1 + skipped);
+    assert.equal(body.items.find((r) => r.status === "succeeded").trigger, "cron");
+    assert.ok(body.items.filter((r) => r.status === "skipped").every((r) => r.error === "locked"));
+    assert.equal((await cron()).body.results[0].status, "not_due");
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import mongoose from "mongoose";
+import { needsDB, loadApp, closeApp, createService, book, as, model, ADMIN } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+const WEBHOOK_SECRET = "test-notify-secret";
+
+describe("notification outbox", needsDB, () => {
+  let api;
+  let svc;
+  let server;
+  let webhookStatus = 200;
+  const hooks = [];
+  const logFile = path.join(os.tmpdir(), `homehero-notify-${process.pid}.log`);
+  const PROVIDER = "notify@pro.test";
+  const CUSTOMER = "notify@cust.test";
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let raw = "";
+      req.on("data", (c) => (raw += c));
+      req.on("end", () => {
+        hooks.push({ raw, signature: req.headers["x-signature"] });
+        res.writeHead(webhookStatus).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    ({ api } = await loadApp({
+      NOTIFY_CHANNELS: "log,webhook",
+      NOTIFY_LOG_FILE: logFile,
+      NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${server.address().port}/hook`,
+      NOTIFY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      NOTIFY_MAX_ATTEMPTS: "2",
+    }));
+    svc = await createService(api, PROVIDER);
+  });
+  after(async () => {
+    server.close();
+    fs.rmSync(logFile, { force: true });
+    await closeApp();
+  });
+
+  const runCron = () =>
+    api.get("/__cron?job=notifications&force=true").set("Authorization", "Bearer test-cron-secret");
+  const logged = () =>
+    fs.existsSync(logFile) ? fs.readFileSync(logFile, "utf8").trim().split("\n").map((l) => JSON.parse(l)) : [];
+  // data is schemaless, so the id isn't cast for us
+  const notificationsOf = (bookingId) =>
+    model("Notification").find({ "data.bookingId": new mongoose.Types.ObjectId(bookingId) }).lean();
+  const newBooking = async (customer = CUSTOMER) =>
+    (await book(api, customer, { serviceId: svc._id, bookingDate: nextDate() })).body;
+
+  test("writes the event with the booking and delivers it on every channel", async () => {
+    const b = await newBooking();
+    const stored = await model("Booking").findById(b._id).lean();
+    assert.deepEqual(stored.outbox.map((e) => e.type), ["booking.created"]);
+
+    const res = await runCron();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results[0].status, "succeeded");
+    assert.equal((await model("Booking").findById(b._id).lean()).outbox?.length ?? 0, 0);
+
+    const lines = logged().filter((l) => l.event === "booking.created");
+    assert.deepEqual(lines.map((l) => l.to).sort(), [CUSTOMER, PROVIDER]);
+    assert.equal(lines.find((l) => l.to === PROVIDER).subject, "New booking: Deep Cleaning");
+    assert.match(lines.find((l) => l.to === CUSTOMER).text, /^Your request for Deep Cleaning on /);
+
+    const hook = hooks.find((h) => JSON.parse(h.raw).to === PROVIDER);
+    const { t, v1 } = Object.fromEntries(hook.signature.split(",").map((p) => p.split("=")));
+    const expected = crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${t}.${hook.raw}`).digest("hex");
+    assert.equal(v1, expected);
+
+    const sent = await notificationsOf(b._id);
+    assert.equal(sent.length, 4);
+    assert.ok(sent.every((n) => n.status === "sent"));
+    await runCron();
+    assert.equal((await notificationsOf(b._id)).length, 4);
+  });
+
+  test("tells the customer about a cancellation and what it refunds", async () => {
+    const b = await newBooking();
+    await api.delete(`/bookings/${b._id}`).set(as(CUSTOMER)).send({});
+    await runCron();
+    const cancelled = logged().find((l) => l.event === "booking.cancelled" && l.to === CUSTOMER);
+    assert.equal(cancelled.subject, "Booking cancelled: Deep Cleaning");
+    assert.match(cancelled.text, /Refund: none\.$/);
+  });
+
+  test("backs off failed deliveries, then dead-letters them for an admin to retry", async () => {
+    webhookStatus = 500;
+    const b = await newBooking();
+    await runCron();
+    const webhookOf = async () =>
+      (await notificationsOf(b._id)).filter((n) => n.channel === "webhook" && n.to === PROVIDER)[0];
+    let n = await webhookOf();
+    assert.equal(n.status, "pending");
+    assert.equal(n.attempts, 1);
+    assert.equal(n.lastError, "Webhook responded 500");
+    assert.ok(new Date(n.nextAttemptAt) > new Date(Date.now() + 20 * 1000));
+
+    await runCron(); // not due yet
+    assert.equal((await webhookOf()).attempts, 1);
+    const ids = (await notificationsOf(b._id)).map((x) => x._id);
+    await model("Notification").updateMany({ _id: { $in: ids } }, { $set: { nextAttemptAt: new Date() } });
+    await runCron();
+    n = await webhookOf();
+    assert.equal(n.status, "dead");
+    assert.equal(n.attempts, 2);
+
+    const dead = await api.get("/admin/notifications?status=dead").set(as(ADMIN));
+    assert.ok(dead.body.items.some((x) => x._id === String(n._id)));
+    webhookStatus = 200;
+    assert.equal((await api.post(`/admin/notifications/${n._id}/retry`).set(as(ADMIN)).send({})).status, 200);
+    await runCron();
+    assert.equal((await webhookOf()).status, "sent");
+  });
+
+  test("skips notification types the recipient opted out of", async () => {
+    const res = await api.put("/me/notifications/preferences").set(as(PROVIDER)).send({ optOut: ["booking.created"] });
+    assert.equal(res.status, 200);
+    const b = await newBooking("notify-2@cust.test");
+    await runCron();
+    const all = await notificationsOf(b._id);
+    assert.deepEqual(all.filter((n) => n.to === PROVIDER).map((n) => n.status), ["skipped", "skipped"]);
+    assert.deepEqual(all.filter((n) => n.to !== PROVIDER).map((n) => n.status), ["sent", "sent"]);
+  });
+});
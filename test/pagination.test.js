@@ -0,0 +1,115 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, book, as } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+const PRICES = [50, 50, 50, 80, 20, 80, 100];
+const SORTS = ["priceAsc", "priceDesc", "ratingDesc", "createdDesc"];
+
+describe("cursor pagination", needsDB, () => {
+  let api;
+  const CUSTOMER = "pages@cust.test";
+  const services = [];
+
+  before(async () => {
+    ({ api } = await loadApp());
+    for (const [i, price] of PRICES.entries()) {
+      services.push(await createService(api, `pages-${i}@pro.test`, { name: `Service ${i}`, price }));
+    }
+  });
+  after(closeApp);
+
+  const ids = (items) => items.map((x) => x._id);
+
+  // Follows nextCursor to the end; returns every page's body
+  async function walk(path, limit, headers = {}) {
+    const sep = path.includes("?") ? "&" : "?";
+    const pages = [];
+    let cursor = null;
+    do {
+      const res = await api.get(`${path}${sep}limit=${limit}${cursor ? `&cursor=${cursor}` : ""}`).set(headers);
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      pages.push(res.body);
+      cursor = res.body.nextCursor;
+    } while (cursor && pages.length < 20);
+    return pages;
+  }
+
+  test("walks every sort mode without repeating or skipping services, ties included", async () => {
+    for (const sort of SORTS) {
+      const { body: all } = await api.get(`/services?sort=${sort}&limit=50`);
+      assert.equal(all.items.length, PRICES.length);
+      const pages = await walk(`/services?sort=${sort}`, 2);
+      assert.equal(pages.length, 4, sort);
+      assert.deepEqual(ids(pages.flatMap((p) => p.items)), ids(all.items), sort);
+      assert.equal(pages.at(-1).nextCursor, null);
+    }
+    const { body } = await api.get("/services?sort=priceAsc&limit=50");
+    assert.deepEqual(body.items.map((s) => s.price), [...PRICES].sort((a, b) => a - b));
+  });
+
+  test("keeps its place when services are added between pages", async () => {
+    const first = await api.get("/services?sort=priceAsc&limit=3");
+    assert.deepEqual(first.body.items.map((s) => s.price), [20, 50, 50]);
+    const cheap = await createService(api, "pages-new@pro.test", { name: "Cheap", price: 10 });
+    const newest = await api.get("/services?sort=createdDesc&limit=1");
+    assert.equal(newest.body.items[0]._id, cheap._id);
+
+    const rest = await walk(`/services?sort=priceAsc&cursor=${first.body.nextCursor}`, 50);
+    const seen = [...ids(first.body.items), ...ids(rest[0].items)];
+    assert.equal(new Set(seen).size, seen.length);
+    assert.deepEqual(rest[0].items.map((s) => s.price), [50, 80, 80, 100]);
+    assert.ok(!seen.includes(cheap._id));
+  });
+
+  test("counts the total only on page requests or when asked", async () => {
+    const first = await api.get("/services?limit=2");
+    assert.equal(first.body.total, PRICES.length + 1);
+    assert.equal(first.body.page, 1);
+    assert.equal(first.body.pages, 4);
+    assert.ok(first.body.nextCursor);
+
+    const next = await api.get(`/services?limit=2&cursor=${first.body.nextCursor}`);
+    assert.equal(next.body.total, undefined);
+    const counted = await api.get(`/services?limit=2&withTotal=true&cursor=${first.body.nextCursor}`);
+    assert.equal(counted.body.total, PRICES.length + 1);
+    assert.equal(counted.body.page, undefined);
+
+    // page numbers still work for older clients
+    const page2 = await api.get("/services?limit=2&page=2");
+    assert.deepEqual(ids(page2.body.items), ids(next.body.items));
+  });
+
+  test("rejects cursors that are malformed or from another sort", async () => {
+    const { body } = await api.get("/services?sort=priceAsc&limit=1");
+    const other = await api.get(`/services?sort=priceDesc&cursor=${body.nextCursor}`);
+    assert.equal(other.status, 400);
+    assert.equal(other.body.code, "invalid_cursor");
+    assert.equal((await api.get("/services?cursor=not-a-cursor")).body.code, "invalid_cursor");
+    assert.equal((await api.get(`/favorites?userEmail=${CUSTOMER}&cursor=${body.nextCursor}`)).status, 400);
+  });
+
+  test("pages the caller's bookings and favorites newest first", async () => {
+    for (const svc of services.slice(0, 5)) {
+      assert.equal((await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() })).status, 201);
+      const fav = await api.post("/favorites").set(as(CUSTOMER)).send({ userEmail: CUSTOMER, serviceId: svc._id });
+      assert.equal(fav.status, 201);
+    }
+    const newestFirst = ids(services.slice(0, 5)).reverse();
+
+    const bookings = await walk(`/bookings?userEmail=${CUSTOMER}`, 2, as(CUSTOMER));
+    assert.equal(bookings.length, 3);
+    assert.deepEqual(bookings.flatMap((p) => p.items).map((b) => b.serviceId._id), newestFirst);
+    const favorites = await walk(`/favorites?userEmail=${CUSTOMER}`, 2, as(CUSTOMER));
+    assert.deepEqual(favorites.flatMap((p) => p.items).map((f) => f.serviceId._id), newestFirst);
+
+    const counted = await api.get(`/bookings?userEmail=${CUSTOMER}&limit=2&withTotal=true`).set(as(CUSTOMER));
+    assert.equal(counted.body.total, 5);
+    const bookingCursor = bookings[0].nextCursor;
+    const crossed = await api.get(`/favorites?userEmail=${CUSTOMER}&cursor=${bookingCursor}`).set(as(CUSTOMER));
+    assert.equal(crossed.body.code, "invalid_cursor");
+  });
+});
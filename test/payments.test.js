@@ -0,0 +1,103 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { needsDB, loadApp, closeApp, createService, book, as } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+// "t=<unix seconds>,v1=<hex hmac-sha256 of `${t}.${raw}`>" with the test PAYMENT_WEBHOOK_SECRET
+const sign = (raw, t = Math.floor(Date.now() / 1000), secret = "test-webhook-secret") =>
+  `t=${t},v1=${crypto.createHmac("sha256", secret).update(`${t}.${raw}`).digest("hex")}`;
+
+describe("payments and signed webhooks", needsDB, () => {
+  let api;
+  let svc;
+  const CUSTOMER = "payments@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, "payments@pro.test", { price: 80 });
+  });
+  after(closeApp);
+
+  const newBooking = async () => (await book(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() })).body;
+  const paymentOf = async (b) => (await api.get(`/bookings/${b._id}/payment`).set(as(CUSTOMER))).body;
+  const webhook = (raw, signature = sign(raw)) =>
+    api.post("/payments/webhook").set({ "content-type": "application/json", "x-signature": signature }).send(raw);
+  const succeeded = (ref) => JSON.stringify({ id: "evt_1", gateway: "mock", type: "payment.succeeded", data: { ref } });
+
+  test("opens a payment intent for the booking's price", async () => {
+    const b = await newBooking();
+    assert.equal(b.paymentStatus, "unpaid");
+    assert.equal(b.payment.amount, 80);
+    assert.equal(b.payment.status, "pending");
+    assert.match(b.payment.checkoutUrl, /^\/payments\/mock\/mock_pi_/);
+  });
+
+  test("marks the booking paid on a signed success webhook, once", async () => {
+    const b = await newBooking();
+    const { payment } = await paymentOf(b);
+    const ref = payment.checkoutUrl.split("/").pop();
+
+    const res = await webhook(succeeded(ref));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.handled, true);
+    assert.equal((await paymentOf(b)).paymentStatus, "paid");
+
+    const replay = await webhook(succeeded(ref));
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.handled, false);
+  });
+
+  test("rejects webhooks that aren't signed with the secret over the exact body", async () => {
+    const b = await newBooking();
+    const ref = (await paymentOf(b)).payment.checkoutUrl.split("/").pop();
+    const raw = succeeded(ref);
+    const now = Math.floor(Date.now() / 1000);
+    const bad = [
+      sign(raw, now, "not-the-secret"),
+      sign(raw, now - 10 * 60), // outside the 5 minute tolerance
+      sign(raw.replace("evt_1", "evt_2")),
+      "garbage",
+      "",
+    ];
+    for (const signature of bad) {
+      const res = await webhook(raw, signature);
+      assert.equal(res.status, 400, signature);
+      assert.equal(res.body.message, "Invalid signature");
+    }
+    assert.equal((await paymentOf(b)).paymentStatus, "unpaid");
+  });
+
+  test("lets the customer retry after a failed payment", async () => {
+    const b = await newBooking();
+    const ref = (await paymentOf(b)).payment.checkoutUrl.split("/").pop();
+    const failed = await api.post(`/payments/mock/${ref}/fail`).send({ reason: "card_declined" });
+    assert.equal(failed.status, 200);
+    assert.equal((await paymentOf(b)).paymentStatus, "failed");
+
+    const retry = await api.post(`/bookings/${b._id}/payment`).set(as(CUSTOMER)).send({});
+    assert.equal(retry.status, 201);
+    assert.notEqual(retry.body.payment.id, b.payment.id);
+    const again = await api.post(`/bookings/${b._id}/payment`).set(as(CUSTOMER)).send({});
+    assert.equal(again.status, 200); // the pending intent is reused
+    assert.equal(again.body.payment.id, retry.body.payment.id);
+  });
+
+  test("refunds a paid booking when it is cancelled", async () => {
+    const b = await newBooking();
+    const ref = (await paymentOf(b)).payment.checkoutUrl.split("/").pop();
+    assert.equal((await api.post(`/payments/mock/${ref}/succeed`).send({})).status, 200);
+
+    const res = await api.delete(`/bookings/${b._id}`).set(as(CUSTOMER)).send({});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.booking.paymentStatus, "refunded");
+    const { refunds } = await paymentOf(b);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].amount, 80);
+    assert.equal(refunds[0].status, "succeeded");
+    assert.equal((await api.post(`/bookings/${b._id}/payment`).set(as(CUSTOMER)).send({})).status, 409);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { needsDB, loadApp, closeApp, createService, quote, as, model } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+// Same format as the server's tokens, signed with the test QUOTE_SECRET
+const forge = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${crypto.createHmac("sha256", "test-quote-secret").update(body).digest("base64url")}`;
+};
+const payloadOf = (token) => JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString());
+
+describe("server-side pricing and signed quotes", needsDB, () => {
+  let api;
+  let svc;
+  const CUSTOMER = "quotes@cust.test";
+
+  before(async () => {
+    ({ api } = await loadApp({ PLATFORM_FEE_PCT: "10", TAX_RATE_PCT: "5" }));
+    svc = await createService(api, "quotes@pro.test", { price: 100 });
+  });
+  after(closeApp);
+
+  const bookWith = (quoteToken, body = {}, email = CUSTOMER) =>
+    api.post("/bookings").set(as(email)).send({ userEmail: email, quoteToken, ...body });
+
+  test("prices from the service, with fee and tax itemised", async () => {
+    const res = await quote(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate(), price: 1 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.lines.map((l) => [l.code, l.amount]),
+      [["base", 100], ["platform_fee", 10], ["tax", 5.5]]
+    );
+    assert.equal(res.body.total, 115.5);
+    assert.ok(new Date(res.body.expiresAt) > new Date());
+  });
+
+  test("books at the quoted price whatever the client sends", async () => {
+    const q = await quote(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const res = await bookWith(q.body.quoteToken, { price: 1, priceBreakdown: { total: 1 } });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.price, 115.5);
+    assert.equal((await model("Booking").findById(res.body._id)).price, 115.5);
+  });
+
+  test("requires a quote token", async () => {
+    const res = await api.post("/bookings").set(as(CUSTOMER)).send({ userEmail: CUSTOMER, serviceId: svc._id });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, "body.quoteToken");
+  });
+
+  test("rejects a token whose payload was edited", async () => {
+    const q = await quote(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const payload = payloadOf(q.body.quoteToken);
+    payload.quote.total = 1;
+    const edited = `${Buffer.from(JSON.stringify(payload)).toString("base64url")}.${q.body.quoteToken.split(".")[1]}`;
+    const res = await bookWith(edited);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "invalid_quote");
+  });
+
+  test("rejects an expired token", async () => {
+    const q = await quote(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    const res = await bookWith(forge({ ...payloadOf(q.body.quoteToken), exp: Date.now() - 1000 }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "invalid_quote");
+  });
+
+  test("rejects a token issued to someone else or for another date", async () => {
+    const q = await quote(api, CUSTOMER, { serviceId: svc._id, bookingDate: nextDate() });
+    assert.equal((await bookWith(q.body.quoteToken, {}, "thief@cust.test")).status, 403);
+    const res = await bookWith(q.body.quoteToken, { bookingDate: nextDate() });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Quote does not match booking");
+  });
+
+  describe("for a service with an area", () => {
+    let local;
+    const INSIDE = { lat: 23.81, lng: 90.41 };
+    const ALSO_INSIDE = { lat: 23.8, lng: 90.4 };
+
+    before(async () => {
+      local = await createService(api, "quotes-area@pro.test", { area: { ...INSIDE, radiusKm: 10 } });
+    });
+
+    test("refuses to quote outside the area", async () => {
+      const res = await quote(api, CUSTOMER, { serviceId: local._id, bookingDate: nextDate(), lat: 24.5, lng: 91 });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, "Address is outside the provider's service area");
+    });
+
+    test("only books at the address the quote was issued for", async () => {
+      const q = await quote(api, CUSTOMER, { serviceId: local._id, bookingDate: nextDate(), ...INSIDE });
+      assert.equal(q.status, 200);
+
+      for (const elsewhere of [{}, ALSO_INSIDE, { lat: 24.5, lng: 91 }]) {
+        const res = await bookWith(q.body.quoteToken, elsewhere);
+        assert.equal(res.status, 400, JSON.stringify(elsewhere));
+        assert.equal(res.body.message, "Quote was issued for another address");
+      }
+      const res = await bookWith(q.body.quoteToken, INSIDE);
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.address.location.coordinates, [INSIDE.lng, INSIDE.lat]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, as } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("rate limiting", needsDB, () => {
+  let api;
+  let svc;
+  let ips = 0;
+  // every test calls from addresses of its own, so the counts don't carry over
+  const newIp = () => `203.0.113.${++ips}`;
+
+  before(async () => {
+    ({ api } = await loadApp({
+      TRUST_PROXY: "1",
+      RATE_LIMIT_GLOBAL: "8/60",
+      RATE_LIMIT_SEARCH: "2/60",
+      RATE_LIMIT_QUOTES: "3/60",
+    }));
+    svc = await createService(api, "limits@pro.test");
+  });
+  after(closeApp);
+
+  const search = (ip) => api.get("/services?search=clean").set("X-Forwarded-For", ip);
+  const quote = (ip, email) =>
+    api
+      .post("/bookings/quote")
+      .set({ "X-Forwarded-For": ip, ...as(email) })
+      .send({ serviceId: svc._id, bookingDate: nextDate() });
+
+  test("counts down and answers 429 with Retry-After once a group's limit is used up", async () => {
+    const ip = newIp();
+    const first = await search(ip);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers["ratelimit-policy"], "2;w=60");
+    assert.equal(first.headers["ratelimit-remaining"], "1");
+    assert.equal((await search(ip)).headers["ratelimit-remaining"], "0");
+
+    const limited = await search(ip);
+    assert.equal(limited.status, 429);
+    const retryAfter = Number(limited.headers["retry-after"]);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(limited.body.retryAfter, retryAfter);
+
+    // other addresses, and other groups from this one, are unaffected
+    assert.equal((await search(newIp())).status, 200);
+    assert.equal((await api.get(`/services/${svc._id}`).set("X-Forwarded-For", ip)).status, 200);
+  });
+
+  test("limits a signed-in caller across addresses", async () => {
+    const email = "limits@cust.test";
+    for (let i = 0; i < 3; i++) assert.equal((await quote(newIp(), email)).status, 200);
+    const limited = await quote(newIp(), email);
+    assert.equal(limited.status, 429);
+    assert.equal((await quote(newIp(), "limits-2@cust.test")).status, 200);
+  });
+
+  test("applies the global limit to every route except the exempt ones", async () => {
+    const ip = newIp();
+    for (let i = 0; i < 8; i++) assert.equal((await api.get("/trending").set("X-Forwarded-For", ip)).status, 200);
+    assert.equal((await api.get("/trending").set("X-Forwarded-For", ip)).status, 429);
+    assert.equal((await api.get("/me").set({ "X-Forwarded-For": ip, ...as("limits@cust.test") })).status, 429);
+    for (const path of ["/healthz", "/openapi.json", "/docs"]) {
+      assert.equal((await api.get(path).set("X-Forwarded-For", ip)).status, 200, path);
+    }
+  });
+
+  test("documents each route's limits", async () => {
+    const { body } = await api.get("/openapi.json");
+    const op = body.paths["/services"].get;
+    assert.deepEqual(op["x-rate-limits"], [
+      { group: "global", limit: 8, windowSeconds: 60 },
+      { group: "search", limit: 2, windowSeconds: 60 },
+    ]);
+    assert.ok(op.responses[429]);
+    assert.equal(body.paths["/healthz"]?.get["x-rate-limits"], undefined);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, completedBooking, book, as } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+// With no edit window every review is final, so each post has to find a booking of its own
+describe("review eligibility", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "eligibility@pro.test";
+
+  before(async () => {
+    ({ api } = await loadApp({ REVIEW_EDIT_WINDOW_HOURS: "0" }));
+    svc = await createService(api, PROVIDER);
+  });
+  after(closeApp);
+
+  const review = (email, body = {}) =>
+    api.post(`/services/${svc._id}/reviews`).set(as(email)).send({ rating: 4, ...body });
+  const completed = (email) => completedBooking(api, PROVIDER, email, { serviceId: svc._id, bookingDate: nextDate() });
+
+  test("turns away users who never booked", async () => {
+    const res = await review("stranger@cust.test");
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Only booked users can review");
+  });
+
+  test("waits until the booking has taken place", async () => {
+    await book(api, "early@cust.test", { serviceId: svc._id, bookingDate: nextDate() });
+    const res = await review("early@cust.test");
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "You can review once the booking has taken place");
+  });
+
+  test("allows one review per completed booking, newest booking first", async () => {
+    const older = await completed("twice@cust.test");
+    const newer = await completed("twice@cust.test");
+
+    const first = await review("twice@cust.test", { rating: 5 });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.review.bookingId, newer._id);
+    const second = await review("twice@cust.test", { rating: 3 });
+    assert.equal(second.status, 201);
+    assert.equal(second.body.review.bookingId, older._id);
+    assert.equal(second.body.reviewCount, 2);
+
+    const third = await review("twice@cust.test");
+    assert.equal(third.status, 403);
+    assert.equal(third.body.message, "Reviews can only be edited within 0 hours");
+  });
+
+  test("only reviews the caller's own booking", async () => {
+    const theirs = await completed("owner@cust.test");
+    const res = await review("other@cust.test", { bookingId: theirs._id });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Only booked users can review");
+  });
+});
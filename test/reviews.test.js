@@ -0,0 +1,92 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, completedBooking, as } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+let days = 0;
+const nextDate = () => new Date(Date.now() + (3 + days++) * DAY).toISOString();
+
+describe("reviews", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "reviews@pro.test";
+  const reviews = {};
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER);
+    for (const [user, rating] of [["five", 5], ["four", 4], ["two", 2]]) {
+      const email = `${user}@cust.test`;
+      await completedBooking(api, PROVIDER, email, { serviceId: svc._id, bookingDate: nextDate() });
+      const res = await api.post(`/services/${svc._id}/reviews`).set(as(email)).send({ rating, comment: user });
+      assert.equal(res.status, 201);
+      reviews[user] = res.body.review;
+    }
+  });
+  after(closeApp);
+
+  const listing = async (query = "") => (await api.get(`/services/${svc._id}/reviews${query}`)).body;
+  const histogram = (body) => Object.fromEntries(body.histogram.map((h) => [h.rating, h.count]));
+
+  test("keeps count, average and histogram on the service", async () => {
+    const body = await listing();
+    assert.equal(body.reviewCount, 3);
+    assert.equal(body.ratingAvg, 3.67);
+    assert.deepEqual(histogram(body), { 5: 1, 4: 1, 3: 0, 2: 1, 1: 0 });
+    const { body: service } = await api.get(`/services/${svc._id}`);
+    assert.equal(service.ratingAvg, 3.67);
+  });
+
+  test("moves an edited rating between histogram buckets", async () => {
+    const res = await api.post(`/services/${svc._id}/reviews`).set(as("two@cust.test")).send({ rating: 3 });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.review._id, reviews.two._id); // the same review, edited
+    assert.equal(res.body.reviewCount, 3);
+    assert.equal(res.body.ratingAvg, 4);
+    assert.deepEqual(histogram(await listing()), { 5: 1, 4: 1, 3: 1, 2: 0, 1: 0 });
+  });
+
+  test("pages through reviews in the chosen order", async () => {
+    const first = await listing("?sort=highest&limit=2");
+    assert.deepEqual(first.items.map((r) => r.rating), [5, 4]);
+    assert.ok(first.nextCursor);
+    const second = await listing(`?sort=highest&limit=2&cursor=${first.nextCursor}`);
+    assert.deepEqual(second.items.map((r) => r.rating), [3]);
+    assert.equal(second.nextCursor, null);
+
+    const wrongSort = await api.get(`/services/${svc._id}/reviews?sort=lowest&cursor=${first.nextCursor}`);
+    assert.equal(wrongSort.status, 400);
+    assert.equal(wrongSort.body.code, "invalid_cursor");
+  });
+
+  test("counts one helpful vote per user and none from the author", async () => {
+    const url = `/reviews/${reviews.five._id}/helpful`;
+    assert.equal((await api.post(url).set(as("four@cust.test")).send({})).status, 201);
+    const again = await api.post(url).set(as("four@cust.test")).send({});
+    assert.equal(again.status, 200);
+    assert.equal(again.body.helpfulCount, 1);
+    assert.equal((await api.post(url).set(as("five@cust.test")).send({})).status, 403);
+
+    const undo = await api.delete(url).set(as("four@cust.test"));
+    assert.equal(undo.status, 200);
+    assert.equal(undo.body.helpfulCount, 0);
+  });
+
+  test("lets only the service's provider reply", async () => {
+    const url = `/reviews/${reviews.four._id}/reply`;
+    assert.equal((await api.put(url).set(as("other@pro.test")).send({ text: "Hi" })).status, 403);
+    const res = await api.put(url).set(as(PROVIDER)).send({ text: "Thanks!" });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reply.text, "Thanks!");
+    assert.equal(res.body.reply.by, PROVIDER);
+  });
+
+  test("takes a deleted review out of the aggregates", async () => {
+    const res = await api.delete(`/reviews/${reviews.five._id}`).set(as("five@cust.test"));
+    assert.equal(res.status, 200);
+    const body = await listing();
+    assert.equal(body.reviewCount, 2);
+    assert.equal(body.ratingAvg, 3.5);
+    assert.equal(histogram(body)[5], 0);
+  });
+});
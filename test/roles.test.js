@@ -0,0 +1,88 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, as, model, ADMIN } from "./helpers.js";
+
+describe("roles and permissions", needsDB, () => {
+  let api;
+  let svc;
+  const PROVIDER = "roles@pro.test";
+
+  before(async () => {
+    ({ api } = await loadApp());
+    svc = await createService(api, PROVIDER);
+  });
+  after(closeApp);
+
+  const newService = (email) =>
+    api.post("/services").set(as(email)).send({
+      name: "Gardening",
+      category: "Garden",
+      price: 40,
+      description: "Lawn and hedges",
+      image: "https://example.com/garden.jpg",
+      providerEmail: email,
+    });
+  const grant = (email, roles, by = ADMIN) => api.put(`/admin/roles/${email}`).set(as(by)).send({ roles });
+
+  test("makes signed-in users customers by default", async () => {
+    const { body } = await api.get("/me").set(as("fresh@cust.test"));
+    assert.deepEqual(body.roles, ["customer"]);
+    assert.ok(body.permissions.includes("booking:create"));
+    assert.ok(!body.permissions.includes("service:create"));
+  });
+
+  test("keeps provider actions from customers until an admin grants the role", async () => {
+    const email = "upgrade@pro.test";
+    assert.equal((await newService(email)).status, 403);
+    const policy = await api.post("/cancellation-policies").set(as(email)).send({
+      name: "Strict",
+      tiers: [{ minHoursBefore: 0, refundPct: 0 }],
+    });
+    assert.equal(policy.status, 403);
+
+    assert.equal((await grant(email, ["customer", "provider"])).status, 200);
+    assert.equal((await newService(email)).status, 201);
+  });
+
+  test("lets only admins manage roles", async () => {
+    assert.equal((await grant("x@cust.test", ["admin"], "fresh@cust.test")).status, 403);
+    assert.equal((await api.put("/admin/roles/x@cust.test").send({ roles: ["admin"] })).status, 401);
+  });
+
+  test("limits providers to their own services", async () => {
+    const other = "roles-other@pro.test";
+    await createService(api, other);
+    assert.equal((await api.patch(`/services/${svc._id}`).set(as(other)).send({ price: 1 })).status, 403);
+    const own = await api.patch(`/services/${svc._id}`).set(as(PROVIDER)).send({ price: 120 });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.price, 120);
+    const byAdmin = await api.patch(`/services/${svc._id}`).set(as(ADMIN)).send({ price: 110 });
+    assert.equal(byAdmin.status, 200);
+  });
+
+  test("doesn't let callers without an identity through owner checks", async () => {
+    assert.equal((await api.patch(`/services/${svc._id}`).send({ price: 1 })).status, 403);
+    assert.equal((await api.delete(`/services/${svc._id}`)).status, 403);
+    assert.equal((await api.get("/bookings?userEmail=roles@cust.test")).status, 403);
+    assert.equal((await api.get("/admin/coupons")).status, 401);
+  });
+
+  test("shows customers only their own bookings", async () => {
+    assert.equal((await api.get("/bookings?userEmail=someone@cust.test").set(as("nosy@cust.test"))).status, 403);
+    assert.equal((await api.get("/bookings?userEmail=nosy@cust.test").set(as("nosy@cust.test"))).status, 200);
+    assert.equal((await api.get("/bookings?userEmail=someone@cust.test").set(as(ADMIN))).status, 200);
+  });
+
+  test("grants the provider role to existing listers through the migration", async () => {
+    await model("UserRole").deleteOne({ email: PROVIDER });
+    await grant("roles-other@pro.test", ["admin"]); // stored roles are extended, not replaced
+    const res = await api.post("/__migrate?name=provider-roles&key=test-seed-key");
+    assert.equal(res.status, 200);
+
+    const roles = async (email) => (await model("UserRole").findOne({ email })).roles;
+    assert.deepEqual(await roles(PROVIDER), ["customer", "provider"]);
+    assert.deepEqual(await roles("roles-other@pro.test"), ["admin", "provider"]);
+    const again = await api.post("/__migrate?name=provider-roles&key=test-seed-key");
+    assert.deepEqual(again.body.result, { updated: 0, created: 0 });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, model } from "./helpers.js";
+
+describe("service search and facets", needsDB, () => {
+  let api;
+  let deep;
+  let windows;
+  let lawn;
+
+  before(async () => {
+    ({ api } = await loadApp());
+    deep = await createService(api, "search-a@pro.test", { name: "Deep Cleaning", price: 100 });
+    windows = await createService(api, "search-b@pro.test", { name: "Window Cleaning", price: 40 });
+    lawn = await createService(api, "search-c@pro.test", {
+      name: "Lawn Mowing",
+      category: "Garden",
+      price: 60,
+      description: "Mowing and edging",
+    });
+  });
+  after(closeApp);
+
+  const names = (body) => body.items.map((s) => s.name);
+
+  test("leaves facets out unless they're asked for", async () => {
+    const { body } = await api.get("/services");
+    assert.equal(body.total, 3);
+    assert.equal(body.facets, undefined);
+  });
+
+  test("counts each facet with the other filters applied", async () => {
+    const { body } = await api.get("/services?facets=true&category=Cleaning");
+    assert.deepEqual(names(body).sort(), ["Deep Cleaning", "Window Cleaning"]);
+    // the category facet ignores the category filter, so Garden still shows
+    assert.deepEqual(body.facets.categories, [
+      { category: "Cleaning", count: 2 },
+      { category: "Garden", count: 1 },
+    ]);
+    assert.equal(body.facets.price.reduce((n, b) => n + b.count, 0), 2);
+    assert.deepEqual(body.facets.rating, [{ min: 0, max: 1, count: 2 }]);
+
+    const cheap = await api.get("/services?facets=true&category=Cleaning&maxPrice=50");
+    assert.deepEqual(names(cheap.body), ["Window Cleaning"]);
+    assert.equal(cheap.body.facets.price.reduce((n, b) => n + b.count, 0), 2);
+  });
+
+  test("doesn't compute facets for later cursor pages", async () => {
+    const first = await api.get("/services?facets=true&limit=1");
+    assert.ok(first.body.facets);
+    const next = await api.get(`/services?facets=true&limit=1&cursor=${first.body.nextCursor}`);
+    assert.equal(next.status, 200);
+    assert.equal(next.body.facets, undefined);
+  });
+
+  test("matches misspelt and half-typed words, best match first", async () => {
+    const { body } = await api.get("/services?search=clening");
+    assert.deepEqual(names(body).sort(), ["Deep Cleaning", "Window Cleaning"]);
+
+    const typing = await api.get("/services?search=window%20clea");
+    assert.equal(typing.body.items[0]._id, windows._id);
+    assert.ok(typing.body.items[0].relevance > (typing.body.items[1]?.relevance ?? 0));
+    assert.equal(typing.body.items[0].searchIndex, undefined);
+
+    assert.deepEqual(names((await api.get("/services?search=edging")).body), ["Lawn Mowing"]);
+    assert.equal((await api.get("/services?search=plumbing")).body.items.length, 0);
+  });
+
+  test("still finds services the search-index backfill hasn't reached", async () => {
+    await model("Service").updateMany({ _id: { $in: [lawn._id, deep._id] } }, { $unset: { searchIndex: "" } });
+
+    assert.deepEqual(names((await api.get("/services?search=lawn")).body), ["Lawn Mowing"]);
+    // indexed matches rank above the unindexed ones
+    const { body } = await api.get("/services?search=cleaning");
+    assert.deepEqual(names(body), ["Window Cleaning", "Deep Cleaning"]);
+    // unindexed services need every word
+    assert.deepEqual(names((await api.get("/services?search=mowing%20edging")).body), ["Lawn Mowing"]);
+    assert.equal((await api.get("/services?search=mowing%20plumbing")).body.items.length, 0);
+
+    const migrated = await api.get("/__migrate?name=search-index&key=test-seed-key");
+    assert.equal(migrated.status, 200);
+    assert.deepEqual(names((await api.get("/services?search=lawm")).body), ["Lawn Mowing"]);
+  });
+});
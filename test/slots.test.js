@@ -0,0 +1,67 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { needsDB, loadApp, closeApp, createService, book, quote, model, WEEKDAYS } from "./helpers.js";
+
+describe("availability and slot capacity", needsDB, () => {
+  let api;
+  before(async () => ({ api } = await loadApp()));
+  after(closeApp);
+
+  const scheduled = (provider, capacity) =>
+    createService(api, provider, { availability: { weekly: WEEKDAYS, capacity } });
+  const openSlots = async (svc) => (await api.get(`/services/${svc._id}/availability`)).body.slots;
+
+  test("lists open slots with the seats left", async () => {
+    const svc = await scheduled("slots-list@pro.test", 2);
+    const [first] = await openSlots(svc);
+    assert.equal(first.capacity, 2);
+    assert.equal(first.remaining, 2);
+    assert.equal(new Date(first.end) - new Date(first.start), 60 * 60 * 1000);
+
+    assert.equal((await book(api, "a@cust.test", { serviceId: svc._id, bookingDate: first.start })).status, 201);
+    const [again] = await openSlots(svc);
+    assert.equal(again.start, first.start);
+    assert.equal(again.remaining, 1);
+  });
+
+  test("books a slot until it is full, then hides it", async () => {
+    const svc = await scheduled("slots-full@pro.test", 2);
+    const [slot] = await openSlots(svc);
+    const at = { serviceId: svc._id, bookingDate: slot.start };
+    assert.equal((await book(api, "a@cust.test", at)).status, 201);
+    assert.equal((await book(api, "b@cust.test", at)).status, 201);
+
+    const full = await book(api, "c@cust.test", at);
+    assert.equal(full.status, 409);
+    assert.notEqual((await openSlots(svc))[0]?.start, slot.start);
+    assert.equal((await model("Slot").findOne({ serviceId: svc._id })).booked, 2);
+  });
+
+  test("never overbooks under concurrent bookings", async () => {
+    const svc = await scheduled("slots-race@pro.test", 3);
+    const [slot] = await openSlots(svc);
+    const at = { serviceId: svc._id, bookingDate: slot.start };
+    const users = ["a", "b", "c", "d", "e", "f"].map((u) => `${u}@race.test`);
+    const results = await Promise.all(users.map((u) => book(api, u, at)));
+    assert.equal(results.filter((r) => r.status === 201).length, 3);
+    assert.deepEqual([...new Set(results.filter((r) => r.status !== 201).map((r) => r.status))], [409]);
+    assert.equal(await model("Slot").countDocuments({ serviceId: svc._id }), 1);
+    assert.equal((await model("Slot").findOne({ serviceId: svc._id })).booked, 3);
+  });
+
+  test("refuses a date that isn't a slot start", async () => {
+    const svc = await scheduled("slots-off@pro.test", 1);
+    const [slot] = await openSlots(svc);
+    const offGrid = new Date(new Date(slot.start).getTime() + 15 * 60 * 1000).toISOString();
+    const res = await quote(api, "a@cust.test", { serviceId: svc._id, bookingDate: offGrid });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Slot is not available");
+  });
+
+  test("keeps the free-date behaviour for services without a schedule", async () => {
+    const svc = await createService(api, "slots-none@pro.test");
+    assert.deepEqual(await openSlots(svc), []);
+    const when = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+    assert.equal((await book(api, "a@cust.test", { serviceId: svc._id, bookingDate: when })).status, 201);
+  });
+});